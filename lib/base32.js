@@ -0,0 +1,108 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// RFC 4648 base32 alphabet (lowercase)
+export const ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+// RFC 4648 base32 "extended hex" alphabet (lowercase)
+export const HEX_ALPHABET = '0123456789abcdefghijklmnopqrstuv';
+
+// base32 alphabet indexes
+const _reverseAlphabets = {};
+
+/**
+ * Base32-encodes a Uint8Array using the given alphabet.
+ *
+ * @param {Uint8Array} input - The bytes to encode in a Uint8Array.
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.alphabet=ALPHABET] - The 32 character alphabet to
+ *   use for encoding.
+ * @param {boolean} [options.pad=false] - `true` to pad the output with `=` to
+ *   a multiple of 8 characters.
+ *
+ * @returns {string} The base32-encoded output string.
+ */
+export function encode(input, {alphabet = ALPHABET, pad = false} = {}) {
+  if(!(input instanceof Uint8Array)) {
+    throw new TypeError('"input" must be a Uint8Array.');
+  }
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for(const byte of input) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while(bits >= 5) {
+      bits -= 5;
+      output += alphabet[(buffer >> bits) & 0x1f];
+    }
+  }
+  if(bits > 0) {
+    // remaining bits are padded with zeros on the right
+    output += alphabet[(buffer << (5 - bits)) & 0x1f];
+  }
+  if(pad) {
+    output = output.padEnd(Math.ceil(output.length / 8) * 8, '=');
+  }
+  return output;
+}
+
+/**
+ * Decodes a base32-encoded (using the given alphabet) string to a Uint8Array.
+ *
+ * @param {string} input - The base32-encoded input string.
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.alphabet=ALPHABET] - The 32 character alphabet to
+ *   use for decoding.
+ * @param {boolean} [options.pad=false] - `true` to require the input to be
+ *   padded with `=` to a multiple of 8 characters.
+ *
+ * @returns {Uint8Array|undefined} The decoded bytes in a Uint8Array or
+ *   `undefined` if the input is not validly encoded.
+ */
+export function decode(input, {alphabet = ALPHABET, pad = false} = {}) {
+  if(typeof input !== 'string') {
+    throw new TypeError('"input" must be a string.');
+  }
+
+  if(pad) {
+    if(input.length % 8 !== 0) {
+      return;
+    }
+    input = input.replace(/={1,6}$/, '');
+  }
+  // 1, 3, or 6 characters cannot be a whole number of bytes
+  if([1, 3, 6].includes(input.length % 8)) {
+    return;
+  }
+
+  let table = _reverseAlphabets[alphabet];
+  if(!table) {
+    // compute reverse alphabet
+    table = _reverseAlphabets[alphabet] = [];
+    for(let i = 0; i < alphabet.length; ++i) {
+      table[alphabet.charCodeAt(i)] = i;
+    }
+  }
+
+  const output = new Uint8Array(Math.floor(input.length * 5 / 8));
+  let buffer = 0;
+  let bits = 0;
+  let offset = 0;
+  for(let i = 0; i < input.length; ++i) {
+    const value = table[input.charCodeAt(i)];
+    if(value === undefined) {
+      return;
+    }
+    buffer = ((buffer << 5) | value) & 0xfff;
+    bits += 5;
+    if(bits >= 8) {
+      bits -= 8;
+      output[offset++] = buffer >> bits;
+    }
+  }
+  // unused trailing bits must be zero for a canonical encoding
+  if((buffer & ((1 << bits) - 1)) !== 0) {
+    return;
+  }
+  return output;
+}
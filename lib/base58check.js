@@ -0,0 +1,63 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// Base58Check: base58btc(<version> <payload> <checksum>), where the checksum
+// is the first 4 bytes of a double SHA-256 of the version and payload
+import {
+  encode as base58encoder,
+  decode as base58decoder
+} from 'base58-universal';
+import {ChecksumError} from './errors.js';
+import {sha256} from './util.js';
+
+// version and checksum bytes added to the payload
+export const OVERHEAD = 5;
+
+const CHECKSUM_SIZE = 4;
+
+/**
+ * Base58Check-encodes a payload.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.version - The version byte.
+ * @param {Uint8Array} options.payload - The payload to encode.
+ *
+ * @returns {string} The encoded string.
+ */
+export function encode({version, payload}) {
+  if(!(Number.isInteger(version) && version >= 0 && version <= 0xff)) {
+    throw new RangeError('Version must be an integer from 0 to 255.');
+  }
+  const bytes = new Uint8Array(payload.length + OVERHEAD);
+  bytes[0] = version;
+  bytes.set(payload, 1);
+  bytes.set(
+    _checksum(bytes.subarray(0, -CHECKSUM_SIZE)),
+    bytes.length - CHECKSUM_SIZE);
+  return base58encoder(bytes);
+}
+
+/**
+ * Decodes a Base58Check-encoded string. A checksum mismatch throws a
+ * `ChecksumError`.
+ *
+ * @param {string} data - The encoded string.
+ *
+ * @returns {{version: number, payload: Uint8Array}|undefined} The version
+ *   byte and payload or `undefined` if the data is not validly encoded.
+ */
+export function decode(data) {
+  const bytes = base58decoder(data);
+  if(!bytes || bytes.length < OVERHEAD) {
+    return;
+  }
+  const checksum = _checksum(bytes.subarray(0, -CHECKSUM_SIZE));
+  if(!checksum.every((d, i) => d === bytes[bytes.length - CHECKSUM_SIZE + i])) {
+    throw new ChecksumError();
+  }
+  return {version: bytes[0], payload: bytes.subarray(1, -CHECKSUM_SIZE)};
+}
+
+function _checksum(bytes) {
+  return sha256(sha256(bytes)).subarray(0, CHECKSUM_SIZE);
+}
@@ -0,0 +1,141 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// baseN alphabet indexes, bounded because custom alphabets are user input
+const MAX_REVERSE_ALPHABETS = 16;
+const _reverseAlphabets = new Map();
+
+/**
+ * Checks that an alphabet can be used for baseN encoding. It must be a string
+ * of at least 2 unique characters.
+ *
+ * @param {string} alphabet - The alphabet to check.
+ *
+ * @returns {string} The alphabet.
+ */
+export function validateAlphabet(alphabet) {
+  if(typeof alphabet !== 'string') {
+    throw new TypeError('"alphabet" must be a string.');
+  }
+  if(alphabet.length < 2) {
+    throw new Error('Alphabet must have at least 2 characters.');
+  }
+  const seen = new Set();
+  for(const c of alphabet) {
+    if(c.length !== 1) {
+      throw new Error('Alphabet characters must be single UTF-16 code units.');
+    }
+    if(seen.has(c)) {
+      throw new Error(`Alphabet contains duplicate character "${c}".`);
+    }
+    seen.add(c);
+  }
+  return alphabet;
+}
+
+/**
+ * BaseN-encodes a Uint8Array using the given alphabet. Each leading zero byte
+ * is encoded as the first character of the alphabet.
+ *
+ * @param {Uint8Array} input - The bytes to encode in a Uint8Array.
+ * @param {string} alphabet - The alphabet to use for encoding.
+ *
+ * @returns {string} The baseN-encoded output string.
+ */
+export function encode(input, alphabet) {
+  if(!(input instanceof Uint8Array)) {
+    throw new TypeError('"input" must be a Uint8Array.');
+  }
+  if(typeof alphabet !== 'string') {
+    throw new TypeError('"alphabet" must be a string.');
+  }
+
+  const base = alphabet.length;
+  // little-endian digits of the value
+  const digits = [];
+  let zeros = 0;
+  while(zeros < input.length && input[zeros] === 0) {
+    ++zeros;
+  }
+  for(let i = zeros; i < input.length; ++i) {
+    let carry = input[i];
+    for(let j = 0; j < digits.length; ++j) {
+      carry += digits[j] << 8;
+      digits[j] = carry % base;
+      carry = (carry / base) | 0;
+    }
+    while(carry > 0) {
+      digits.push(carry % base);
+      carry = (carry / base) | 0;
+    }
+  }
+
+  let output = alphabet[0].repeat(zeros);
+  for(let i = digits.length - 1; i >= 0; --i) {
+    output += alphabet[digits[i]];
+  }
+  return output;
+}
+
+/**
+ * Decodes a baseN-encoded (using the given alphabet) string to a Uint8Array.
+ * Each leading first character of the alphabet is decoded as a zero byte.
+ *
+ * @param {string} input - The baseN-encoded input string.
+ * @param {string} alphabet - The alphabet to use for decoding.
+ *
+ * @returns {Uint8Array|undefined} The decoded bytes in a Uint8Array or
+ *   `undefined` if the input contains characters not in the alphabet.
+ */
+export function decode(input, alphabet) {
+  if(typeof input !== 'string') {
+    throw new TypeError('"input" must be a string.');
+  }
+  if(typeof alphabet !== 'string') {
+    throw new TypeError('"alphabet" must be a string.');
+  }
+
+  let table = _reverseAlphabets.get(alphabet);
+  if(!table) {
+    // compute reverse alphabet
+    table = new Map();
+    for(let i = 0; i < alphabet.length; ++i) {
+      table.set(alphabet[i], i);
+    }
+    if(_reverseAlphabets.size >= MAX_REVERSE_ALPHABETS) {
+      // evict the oldest alphabet
+      _reverseAlphabets.delete(_reverseAlphabets.keys().next().value);
+    }
+    _reverseAlphabets.set(alphabet, table);
+  }
+
+  const base = alphabet.length;
+  // little-endian bytes of the value
+  const bytes = [];
+  let zeros = 0;
+  while(zeros < input.length && input[zeros] === alphabet[0]) {
+    ++zeros;
+  }
+  for(let i = zeros; i < input.length; ++i) {
+    const value = table.get(input[i]);
+    if(value === undefined) {
+      return;
+    }
+    let carry = value;
+    for(let j = 0; j < bytes.length; ++j) {
+      carry += bytes[j] * base;
+      bytes[j] = carry & 0xff;
+      carry >>= 8;
+    }
+    while(carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  const output = new Uint8Array(zeros + bytes.length);
+  for(let i = 0; i < bytes.length; ++i) {
+    output[output.length - 1 - i] = bytes[i];
+  }
+  return output;
+}
@@ -0,0 +1,223 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// Bech32 (BIP-173) and Bech32m (BIP-350):
+// <human-readable part> 1 <5-bit data words> <6 checksum words>
+import {ChecksumError} from './errors.js';
+
+export const ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+// final checksum constants
+export const BECH32 = 1;
+export const BECH32M = 0x2bc830a3;
+// separator and checksum characters added to the data
+export const OVERHEAD = 7;
+
+const CHECKSUM_LENGTH = 6;
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const MAX_HRP_LENGTH = 83;
+
+// character => 5-bit value
+const _reverseAlphabet = new Map([...ALPHABET].map((c, i) => [c, i]));
+
+/**
+ * Checks that a human-readable part is 1 to 83 lowercase printable US-ASCII
+ * characters.
+ *
+ * @param {string} hrp - The human-readable part to check.
+ *
+ * @returns {string} The human-readable part.
+ */
+export function validateHrp(hrp) {
+  if(typeof hrp !== 'string') {
+    throw new TypeError('"hrp" must be a string.');
+  }
+  if(!(hrp.length >= 1 && hrp.length <= MAX_HRP_LENGTH &&
+    _isValidHrp(hrp) && hrp === hrp.toLowerCase())) {
+    throw new Error(
+      'Human-readable part must be 1 to 83 lowercase printable US-ASCII ' +
+      'characters.');
+  }
+  return hrp;
+}
+
+/**
+ * Gets the human-readable part of encoded data.
+ *
+ * @param {string} data - The encoded data.
+ *
+ * @returns {string|undefined} The human-readable part or `undefined` if there
+ *   is no separator.
+ */
+export function getHrp(data) {
+  const separator = data.lastIndexOf('1');
+  if(separator < 1) {
+    return;
+  }
+  return data.substring(0, separator);
+}
+
+/**
+ * Bech32-encodes bytes. The bytes are regrouped into 5-bit words, padding the
+ * last word with zero bits.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.hrp - The human-readable part.
+ * @param {Uint8Array} options.bytes - The bytes to encode.
+ * @param {number} options.constant - The checksum constant, `BECH32` or
+ *   `BECH32M`.
+ *
+ * @returns {string} The encoded string.
+ */
+export function encode({hrp, bytes, constant}) {
+  const words = _toWords(bytes);
+  // checksum words are zero when calculating the checksum
+  const residue = _polymod(
+    {hrp, words: [...words, ...new Array(CHECKSUM_LENGTH).fill(0)]}) ^
+    constant;
+  let output = hrp + '1';
+  for(const word of words) {
+    output += ALPHABET[word];
+  }
+  for(let i = 0; i < CHECKSUM_LENGTH; ++i) {
+    output += ALPHABET[(residue >>> (5 * (CHECKSUM_LENGTH - 1 - i))) & 0x1f];
+  }
+  return output;
+}
+
+/**
+ * Decodes a lowercase Bech32-encoded string. A checksum mismatch throws a
+ * `ChecksumError` with the `positions` of characters that, if mistyped, would
+ * explain the mismatch.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.data - The encoded string.
+ * @param {number} options.constant - The checksum constant, `BECH32` or
+ *   `BECH32M`.
+ *
+ * @returns {Uint8Array|undefined} The decoded bytes or `undefined` if the
+ *   data is not validly encoded.
+ */
+export function decode({data, constant}) {
+  if(data !== data.toLowerCase()) {
+    return;
+  }
+  const hrp = getHrp(data);
+  if(hrp === undefined || hrp.length > MAX_HRP_LENGTH || !_isValidHrp(hrp)) {
+    return;
+  }
+  const start = hrp.length + 1;
+  if(data.length - start < CHECKSUM_LENGTH) {
+    return;
+  }
+  const words = [];
+  for(let i = start; i < data.length; ++i) {
+    const word = _reverseAlphabet.get(data[i]);
+    if(word === undefined) {
+      return;
+    }
+    words.push(word);
+  }
+  const syndrome = _polymod({hrp, words}) ^ constant;
+  if(syndrome !== 0) {
+    const positions = _locateErrors({syndrome, length: words.length})
+      .map(i => start + i);
+    throw new ChecksumError(undefined, {positions});
+  }
+  return _fromWords(words.slice(0, -CHECKSUM_LENGTH));
+}
+
+// printable US-ASCII
+function _isValidHrp(hrp) {
+  return /^[\x21-\x7e]+$/.test(hrp);
+}
+
+// BCH checksum residue of the human-readable part and words
+function _polymod({hrp, words}) {
+  let chk = 1;
+  for(let i = 0; i < hrp.length; ++i) {
+    chk = _polymodStep(chk, hrp.charCodeAt(i) >> 5);
+  }
+  chk = _polymodStep(chk, 0);
+  for(let i = 0; i < hrp.length; ++i) {
+    chk = _polymodStep(chk, hrp.charCodeAt(i) & 0x1f);
+  }
+  for(const word of words) {
+    chk = _polymodStep(chk, word);
+  }
+  return chk;
+}
+
+function _polymodStep(chk, value) {
+  const top = chk >>> 25;
+  chk = ((chk & 0x1ffffff) << 5) ^ value;
+  for(let i = 0; i < 5; ++i) {
+    if((top >> i) & 1) {
+      chk ^= GENERATOR[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+// find word indexes where a single substitution would produce the syndrome;
+// the residue is linear in the words, so the effect of changing a word only
+// depends on the change and the number of words after it
+function _locateErrors({syndrome, length}) {
+  const positions = [];
+  // residues of each single bit change, starting with the last word
+  let basis = [1, 2, 4, 8, 16];
+  for(let i = length - 1; i >= 0; --i) {
+    for(let change = 1; change < 32; ++change) {
+      let effect = 0;
+      for(let bit = 0; bit < 5; ++bit) {
+        if((change >> bit) & 1) {
+          effect ^= basis[bit];
+        }
+      }
+      if(effect === syndrome) {
+        positions.push(i);
+        break;
+      }
+    }
+    basis = basis.map(chk => _polymodStep(chk, 0));
+  }
+  return positions.reverse();
+}
+
+// regroup 8-bit bytes into 5-bit words, padding with zero bits
+function _toWords(bytes) {
+  const words = [];
+  let buffer = 0;
+  let bits = 0;
+  for(const byte of bytes) {
+    buffer = ((buffer << 8) | byte) & 0xfff;
+    bits += 8;
+    while(bits >= 5) {
+      bits -= 5;
+      words.push((buffer >> bits) & 0x1f);
+    }
+  }
+  if(bits > 0) {
+    words.push((buffer << (5 - bits)) & 0x1f);
+  }
+  return words;
+}
+
+// regroup 5-bit words into 8-bit bytes, padding must be less than 5 zero bits
+function _fromWords(words) {
+  const bytes = new Uint8Array(Math.floor(words.length * 5 / 8));
+  let buffer = 0;
+  let bits = 0;
+  let offset = 0;
+  for(const word of words) {
+    buffer = ((buffer << 5) | word) & 0xfff;
+    bits += 5;
+    if(bits >= 8) {
+      bits -= 8;
+      bytes[offset++] = buffer >> bits;
+    }
+  }
+  if(bits >= 5 || (buffer & ((1 << bits) - 1)) !== 0) {
+    return;
+  }
+  return bytes;
+}
@@ -0,0 +1,96 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// ChaCha20 keystream (RFC 8439), used for deterministic random bytes
+
+// "expand 32-byte k"
+const SIGMA = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+export class ChaCha20 {
+  /**
+   * Creates a new ChaCha20 keystream.
+   *
+   * @param {object} options - The options to use.
+   * @param {Uint8Array} options.key - 32 byte key.
+   * @param {Uint8Array} [options.nonce] - 12 byte nonce, defaults to zeros.
+   * @param {number} [options.counter=0] - Initial block counter.
+   *
+   * @returns {ChaCha20} - New ChaCha20 keystream.
+   */
+  constructor({key, nonce = new Uint8Array(12), counter = 0}) {
+    if(!(key instanceof Uint8Array && key.length === 32)) {
+      throw new TypeError('"key" must be a 32 byte Uint8Array.');
+    }
+    if(!(nonce instanceof Uint8Array && nonce.length === 12)) {
+      throw new TypeError('"nonce" must be a 12 byte Uint8Array.');
+    }
+    const keyView = new DataView(key.buffer, key.byteOffset, key.length);
+    const nonceView = new DataView(
+      nonce.buffer, nonce.byteOffset, nonce.length);
+    this._state = new Uint32Array(16);
+    this._state.set(SIGMA);
+    for(let i = 0; i < 8; ++i) {
+      this._state[4 + i] = keyView.getUint32(i * 4, true);
+    }
+    this._state[12] = counter;
+    for(let i = 0; i < 3; ++i) {
+      this._state[13 + i] = nonceView.getUint32(i * 4, true);
+    }
+    this._block = new Uint8Array(64);
+    this._offset = 64;
+  }
+
+  /**
+   * Fills bytes with the next keystream bytes.
+   *
+   * @param {Uint8Array} bytes - The bytes to fill.
+   *
+   * @returns {Uint8Array} The filled bytes.
+   */
+  fill(bytes) {
+    for(let i = 0; i < bytes.length; ++i) {
+      if(this._offset === 64) {
+        this._nextBlock();
+      }
+      bytes[i] = this._block[this._offset++];
+    }
+    return bytes;
+  }
+
+  _nextBlock() {
+    const state = this._state;
+    if(state[12] === 0xffffffff) {
+      throw new RangeError('ChaCha20 keystream exhausted.');
+    }
+    const x = new Uint32Array(state);
+    for(let i = 0; i < 10; ++i) {
+      // column rounds
+      _quarterRound(x, 0, 4, 8, 12);
+      _quarterRound(x, 1, 5, 9, 13);
+      _quarterRound(x, 2, 6, 10, 14);
+      _quarterRound(x, 3, 7, 11, 15);
+      // diagonal rounds
+      _quarterRound(x, 0, 5, 10, 15);
+      _quarterRound(x, 1, 6, 11, 12);
+      _quarterRound(x, 2, 7, 8, 13);
+      _quarterRound(x, 3, 4, 9, 14);
+    }
+    const view = new DataView(this._block.buffer);
+    for(let i = 0; i < 16; ++i) {
+      view.setUint32(i * 4, (x[i] + state[i]) >>> 0, true);
+    }
+    state[12]++;
+    this._offset = 0;
+  }
+}
+
+function _quarterRound(x, a, b, c, d) {
+  x[a] += x[b]; x[d] = _rotl(x[d] ^ x[a], 16);
+  x[c] += x[d]; x[b] = _rotl(x[b] ^ x[c], 12);
+  x[a] += x[b]; x[d] = _rotl(x[d] ^ x[a], 8);
+  x[c] += x[d]; x[b] = _rotl(x[b] ^ x[c], 7);
+}
+
+function _rotl(v, n) {
+  return (v << n) | (v >>> (32 - n));
+}
@@ -0,0 +1,98 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as varint from './varint.js';
+
+// CIDv1: <multibase prefix><varint version><varint codec><multihash>
+export const VERSION = 1;
+
+// maximum CID header size in bytes (version and codec)
+export const MAX_HEADER_SIZE = 2 * varint.MAX_LENGTH;
+
+// supported content codecs: name => multicodec code
+const _codecs = new Map([
+  ['raw', 0x55],
+  ['dag-pb', 0x70],
+  ['dag-cbor', 0x71],
+  ['dag-json', 0x0129],
+  ['dag-jose', 0x85],
+  ['libp2p-key', 0x72],
+  ['json', 0x0200],
+  ['cbor', 0x51]
+]);
+const _codecsByCode = new Map();
+for(const [name, code] of _codecs) {
+  _codecsByCode.set(code, name);
+}
+
+/**
+ * Gets a supported content codec by name.
+ *
+ * @param {string} name - The codec name, such as `raw`.
+ *
+ * @returns {{name: string, code: number}|undefined} The codec name and
+ *   multicodec code or `undefined` if not supported.
+ */
+export function getCodec(name) {
+  const code = _codecs.get(name);
+  if(code !== undefined) {
+    return {name, code};
+  }
+}
+
+/**
+ * Gets a supported content codec by multicodec code.
+ *
+ * @param {number} code - The multicodec code.
+ *
+ * @returns {{name: string, code: number}|undefined} The codec or `undefined`
+ *   if not supported.
+ */
+export function getCodecByCode(code) {
+  const name = _codecsByCode.get(code);
+  if(name !== undefined) {
+    return {name, code};
+  }
+}
+
+/**
+ * Encodes a multihash as a CIDv1.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.code - The content codec code.
+ * @param {Uint8Array} options.multihash - The multihash bytes.
+ *
+ * @returns {Uint8Array} The CID bytes.
+ */
+export function encode({code, multihash}) {
+  const versionBytes = varint.encode(VERSION);
+  const codeBytes = varint.encode(code);
+  const cid = new Uint8Array(
+    versionBytes.length + codeBytes.length + multihash.length);
+  cid.set(versionBytes);
+  cid.set(codeBytes, versionBytes.length);
+  cid.set(multihash, versionBytes.length + codeBytes.length);
+  return cid;
+}
+
+/**
+ * Decodes a CIDv1.
+ *
+ * @param {Uint8Array} bytes - The CID bytes.
+ *
+ * @returns {{code: number, multihash: Uint8Array}} The content codec code and
+ *   multihash bytes.
+ */
+export function decode(bytes) {
+  // <varint version>
+  const {value: version, length: versionLength} = varint.decode(bytes);
+  if(version !== VERSION) {
+    throw new Error(`Unsupported CID version "${version}".`);
+  }
+  // <varint codec>
+  const {value: code, length: codeLength} = varint.decode(
+    bytes, versionLength);
+  // <multihash>
+  const multihash = bytes.subarray(versionLength + codeLength);
+  return {code, multihash};
+}
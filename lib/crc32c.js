@@ -0,0 +1,33 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// CRC-32C (Castagnoli), reflected polynomial
+const POLYNOMIAL = 0x82f63b78;
+
+// byte => CRC table, computed on first use
+let _table;
+
+/**
+ * Calculates the CRC-32C checksum of bytes.
+ *
+ * @param {Uint8Array} bytes - The bytes to checksum.
+ *
+ * @returns {number} The unsigned 32-bit checksum.
+ */
+export function crc32c(bytes) {
+  if(!_table) {
+    _table = new Uint32Array(256);
+    for(let i = 0; i < 256; ++i) {
+      let crc = i;
+      for(let j = 0; j < 8; ++j) {
+        crc = crc & 1 ? (crc >>> 1) ^ POLYNOMIAL : crc >>> 1;
+      }
+      _table[i] = crc;
+    }
+  }
+  let crc = 0xffffffff;
+  for(const byte of bytes) {
+    crc = _table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,66 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as baseN from './baseN.js';
+
+// Crockford base32 characters (excludes I, L, O, and U)
+export const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+// Crockford check symbols, values 0 to 36
+export const CHECK_ALPHABET = ALPHABET + '*~$=U';
+
+/**
+ * Crockford base32-encodes a Uint8Array as a big-endian number. Each leading
+ * zero byte is encoded as `0`.
+ *
+ * @param {Uint8Array} input - The bytes to encode in a Uint8Array.
+ *
+ * @returns {string} The Crockford base32-encoded output string.
+ */
+export function encode(input) {
+  return baseN.encode(input, ALPHABET);
+}
+
+/**
+ * Decodes a normalized Crockford base32-encoded string to a Uint8Array.
+ *
+ * @param {string} input - The normalized Crockford base32-encoded string.
+ *
+ * @returns {Uint8Array|undefined} The decoded bytes in a Uint8Array or
+ *   `undefined` if the input contains invalid characters.
+ */
+export function decode(input) {
+  return baseN.decode(input, ALPHABET);
+}
+
+/**
+ * Normalizes a Crockford base32-encoded string for decoding. Hyphens are
+ * removed, letters are upper cased, `I` and `L` are read as `1`, and `O` is
+ * read as `0`.
+ *
+ * @param {string} input - The Crockford base32-encoded string.
+ *
+ * @returns {string} The normalized string.
+ */
+export function normalize(input) {
+  return input
+    .replace(/-/g, '')
+    .toUpperCase()
+    .replace(/[IL]/g, '1')
+    .replace(/O/g, '0');
+}
+
+/**
+ * Calculates the check symbol for bytes: the big-endian number they encode,
+ * modulo 37.
+ *
+ * @param {Uint8Array} input - The bytes to calculate a check symbol for.
+ *
+ * @returns {string} The check symbol.
+ */
+export function checkSymbol(input) {
+  let remainder = 0;
+  for(const byte of input) {
+    remainder = (remainder * 256 + byte) % 37;
+  }
+  return CHECK_ALPHABET[remainder];
+}
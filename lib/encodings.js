@@ -0,0 +1,447 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  encode as base58encoder,
+  decode as base58decoder
+} from 'base58-universal';
+import * as base32 from './base32.js';
+import * as base58check from './base58check.js';
+import * as bech32 from './bech32.js';
+import * as baseN from './baseN.js';
+import * as crockford32 from './crockford32.js';
+import {
+  bytesToHex,
+  bytesFromHex,
+  bytesToBase64,
+  bytesFromBase64,
+  bytesToBase64url,
+  bytesFromBase64url
+} from './util.js';
+
+// registered encodings by name and alias
+const _encodings = new Map();
+// registered encodings by multibase prefix
+const _multibasePrefixes = new Map();
+
+/**
+ * An encoding converts id bytes to and from a string.
+ *
+ * @typedef {object} Encoding
+ * @property {string} name - The encoding name.
+ * @property {Array<string>} [aliases] - Other names for the encoding.
+ * @property {string} [multibasePrefix] - The single character multibase
+ *   prefix, if the encoding supports multibase.
+ * @property {Function} encode - Encodes `{bytes, fixedBitLength}` to a string.
+ *   `fixedBitLength` is set to the number of bits that the output length must
+ *   be based on when fixed length output is required. The bytes have already
+ *   been checked to fit in that bit length.
+ * @property {Function} decode - Decodes `{data}` to a Uint8Array or returns
+ *   `undefined` if the data is not validly encoded.
+ * @property {Function} [normalize] - Normalizes `{data}` before it is decoded,
+ *   for example, to handle case-insensitive encodings.
+ * @property {Function} [checkSymbol] - Calculates a check symbol string for
+ *   `{bytes}`, if the encoding supports check symbols.
+ * @property {boolean} [versioned] - `true` if the encoding includes a version
+ *   byte. `encode` is also passed `version` and `decode` returns the version
+ *   byte followed by the id bytes.
+ * @property {Function} [hrp] - Gets the human-readable part of `{data}`, if
+ *   the encoding starts with one. `encode` is also passed `hrp` and the
+ *   lengths do not include the human-readable part.
+ * @property {Function} minLength - Minimum number of characters for
+ *   `{bitLength}`.
+ * @property {Function} maxLength - Maximum number of characters for
+ *   `{bitLength}`.
+ */
+
+/**
+ * Registers an encoding for use by `IdEncoder`, `IdDecoder`,
+ * `minEncodedIdBytes`, and `maxEncodedIdBytes`. If the encoding has a
+ * multibase prefix, `IdDecoder` will detect it when decoding multibase ids.
+ *
+ * @param {Encoding} encoding - The encoding to register.
+ *
+ * @returns {Encoding} - The registered encoding.
+ */
+export function registerEncoding(encoding) {
+  const {name, aliases = [], multibasePrefix} = encoding;
+  if(typeof name !== 'string' || name.length === 0) {
+    throw new TypeError('"encoding.name" must be a non-empty string.');
+  }
+  if(!Array.isArray(aliases) || !aliases.every(a => typeof a === 'string')) {
+    throw new TypeError('"encoding.aliases" must be an array of strings.');
+  }
+  if(multibasePrefix !== undefined &&
+    !(typeof multibasePrefix === 'string' && multibasePrefix.length === 1)) {
+    throw new TypeError(
+      '"encoding.multibasePrefix" must be a single character string.');
+  }
+  for(const fn of ['encode', 'decode', 'minLength', 'maxLength']) {
+    if(typeof encoding[fn] !== 'function') {
+      throw new TypeError(`"encoding.${fn}" must be a function.`);
+    }
+  }
+  for(const n of [name, ...aliases]) {
+    if(_encodings.has(n)) {
+      throw new Error(`Encoding "${n}" is already registered.`);
+    }
+  }
+  if(multibasePrefix !== undefined && _multibasePrefixes.has(multibasePrefix)) {
+    throw new Error(
+      `Multibase prefix "${multibasePrefix}" is already registered.`);
+  }
+  for(const n of [name, ...aliases]) {
+    _encodings.set(n, encoding);
+  }
+  if(multibasePrefix !== undefined) {
+    _multibasePrefixes.set(multibasePrefix, encoding);
+  }
+  return encoding;
+}
+
+/**
+ * Gets a registered encoding by name or alias.
+ *
+ * @param {string} name - The encoding name or alias.
+ *
+ * @returns {Encoding|undefined} - The encoding or `undefined` if not found.
+ */
+export function getEncoding(name) {
+  return _encodings.get(name);
+}
+
+/**
+ * Gets a registered encoding by multibase prefix.
+ *
+ * @param {string} multibasePrefix - The multibase prefix.
+ *
+ * @returns {Encoding|undefined} - The encoding or `undefined` if not found.
+ */
+export function getEncodingByMultibasePrefix(multibasePrefix) {
+  return _multibasePrefixes.get(multibasePrefix);
+}
+
+// pad start of bytes with zeros to a whole number of bytes for a bit length
+function _bytesWithFixedLength({bytes, fixedBitLength}) {
+  const data = new Uint8Array(Math.ceil(fixedBitLength / 8));
+  data.set(bytes, data.length - bytes.length);
+  return data;
+}
+
+// data must be in the case of encoded output, mixed case is invalid
+function _hasCase({data, upper}) {
+  return data === (upper ? data.toUpperCase() : data.toLowerCase());
+}
+
+// encode bytes as a number with an encoder, padding with the zero symbol if
+// fixed length
+function _encodeNumber({bytes, fixedBitLength, encode, alphabet}) {
+  if(fixedBitLength === undefined) {
+    return encode(bytes);
+  }
+  const wantLength = Math.ceil(fixedBitLength / Math.log2(alphabet.length));
+  // strip leading zero bytes so they do not each use a full character when
+  // the bit length is not byte aligned
+  const start = bytes.findIndex(d => d !== 0);
+  const encoded = encode(bytes.subarray(start === -1 ? bytes.length : start));
+  // pad start with 0s
+  return encoded.padStart(wantLength, alphabet[0]);
+}
+
+/**
+ * Creates an encoding that encodes ids as big-endian numbers using an
+ * alphabet. Each leading zero byte is encoded as the first character of the
+ * alphabet, as is any fixed length padding. The result can be passed to
+ * `registerEncoding`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The encoding name.
+ * @param {string} options.alphabet - Alphabet of at least 2 unique characters.
+ * @param {Array<string>} [options.aliases] - Other names for the encoding.
+ * @param {string} [options.multibasePrefix] - The multibase prefix.
+ * @param {boolean} [options.upper=false] - `true` to upper case the encoded
+ *   output.
+ * @param {boolean} [options.caseInsensitive=false] - `true` to lower case
+ *   data before decoding. Data must be in the case of the encoded output and
+ *   mixed case is invalid. Requires a lower case alphabet.
+ *
+ * @returns {Encoding} - The new encoding.
+ */
+export function createBaseNEncoding({
+  name,
+  alphabet,
+  aliases,
+  multibasePrefix,
+  upper = false,
+  caseInsensitive = false
+}) {
+  baseN.validateAlphabet(alphabet);
+  const log2 = Math.log2(alphabet.length);
+  const encoding = {
+    name,
+    aliases,
+    multibasePrefix,
+    encode({bytes, fixedBitLength}) {
+      const encoded = _encodeNumber({
+        bytes, fixedBitLength, alphabet,
+        encode: bytes => baseN.encode(bytes, alphabet)
+      });
+      return upper ? encoded.toUpperCase() : encoded;
+    },
+    decode({data}) {
+      if(caseInsensitive) {
+        if(!_hasCase({data, upper})) {
+          return;
+        }
+        data = data.toLowerCase();
+      }
+      return baseN.decode(data, alphabet);
+    },
+    minLength({bitLength}) {
+      return Math.ceil(bitLength / 8);
+    },
+    maxLength({bitLength}) {
+      return Math.ceil(bitLength / log2);
+    }
+  };
+  return encoding;
+}
+
+function _createBase16Encoding({name, aliases, multibasePrefix, upper}) {
+  return {
+    name,
+    aliases,
+    multibasePrefix,
+    encode({bytes, fixedBitLength}) {
+      if(fixedBitLength !== undefined) {
+        // base16 is byte aligned, use whole bytes
+        bytes = _bytesWithFixedLength({bytes, fixedBitLength});
+      }
+      const encoded = bytesToHex(bytes);
+      return upper ? encoded.toUpperCase() : encoded;
+    },
+    decode({data}) {
+      if(data.length % 2 !== 0) {
+        throw new Error('Invalid base16 data length.');
+      }
+      if(!/^[\da-f]*$/i.test(data)) {
+        return;
+      }
+      return bytesFromHex(data);
+    },
+    minLength({bitLength}) {
+      return Math.ceil(bitLength / 8) * 2;
+    },
+    maxLength({bitLength}) {
+      return Math.ceil(bitLength / 8) * 2;
+    }
+  };
+}
+
+function _createBase32Encoding({
+  name, multibasePrefix, alphabet, pad = false, upper = false
+}) {
+  // number of base32 characters needed to encode a bit length
+  function length({bitLength}) {
+    const length = Math.ceil(Math.ceil(bitLength / 8) * 8 / 5);
+    return pad ? Math.ceil(length / 8) * 8 : length;
+  }
+  return {
+    name,
+    multibasePrefix,
+    encode({bytes, fixedBitLength}) {
+      if(fixedBitLength !== undefined) {
+        // base32 output length depends only on the input byte length
+        bytes = _bytesWithFixedLength({bytes, fixedBitLength});
+      }
+      const encoded = base32.encode(bytes, {alphabet, pad});
+      return upper ? encoded.toUpperCase() : encoded;
+    },
+    decode({data}) {
+      if(!_hasCase({data, upper})) {
+        return;
+      }
+      return base32.decode(data.toLowerCase(), {alphabet, pad});
+    },
+    minLength: length,
+    maxLength: length
+  };
+}
+
+function _createBase64Encoding({name, multibasePrefix, url, pad = false}) {
+  const toBase64 = url ? bytesToBase64url : bytesToBase64;
+  const fromBase64 = url ? bytesFromBase64url : bytesFromBase64;
+  const valid = url ? /^[A-Za-z0-9_-]*$/ : /^[A-Za-z0-9+/]*$/;
+  // number of base64 characters needed to encode a bit length
+  function length({bitLength}) {
+    const byteLength = Math.ceil(bitLength / 8);
+    if(pad) {
+      return Math.ceil(byteLength / 3) * 4;
+    }
+    return Math.ceil(byteLength * 8 / 6);
+  }
+  return {
+    name,
+    multibasePrefix,
+    encode({bytes, fixedBitLength}) {
+      if(fixedBitLength !== undefined) {
+        // base64 output length depends only on the input byte length
+        bytes = _bytesWithFixedLength({bytes, fixedBitLength});
+      }
+      const encoded = toBase64(bytes);
+      if(pad) {
+        return encoded.padEnd(Math.ceil(encoded.length / 4) * 4, '=');
+      }
+      return encoded;
+    },
+    decode({data}) {
+      if(pad) {
+        if(data.length % 4 !== 0) {
+          return;
+        }
+        data = data.replace(/={1,2}$/, '');
+      }
+      if(data.length % 4 === 1 || !valid.test(data)) {
+        return;
+      }
+      const decoded = fromBase64(data);
+      // ensure canonical encoding (unused trailing bits are zero)
+      if(toBase64(decoded) !== data) {
+        return;
+      }
+      return decoded;
+    },
+    minLength: length,
+    maxLength: length
+  };
+}
+
+// base58 characters (Bitcoin alphabet)
+const _base58Alphabet =
+  '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// built-in encodings
+registerEncoding(_createBase16Encoding(
+  {name: 'base16', aliases: ['hex'], multibasePrefix: 'f'}));
+registerEncoding(_createBase16Encoding(
+  {name: 'base16upper', multibasePrefix: 'F', upper: true}));
+registerEncoding({
+  name: 'base58btc',
+  aliases: ['base58'],
+  multibasePrefix: 'z',
+  encode({bytes, fixedBitLength}) {
+    return _encodeNumber({
+      bytes, fixedBitLength, alphabet: _base58Alphabet, encode: base58encoder
+    });
+  },
+  decode({data}) {
+    return base58decoder(data);
+  },
+  minLength({bitLength}) {
+    return Math.ceil(bitLength / 8);
+  },
+  maxLength({bitLength}) {
+    return Math.ceil(bitLength / Math.log2(58));
+  }
+});
+registerEncoding({
+  name: 'base58check',
+  versioned: true,
+  encode({bytes, fixedBitLength, version = 0}) {
+    if(fixedBitLength !== undefined) {
+      bytes = _bytesWithFixedLength({bytes, fixedBitLength});
+    }
+    return base58check.encode({version, payload: bytes});
+  },
+  decode({data}) {
+    const decoded = base58check.decode(data);
+    if(!decoded) {
+      return;
+    }
+    const {version, payload} = decoded;
+    const bytes = new Uint8Array(payload.length + 1);
+    bytes[0] = version;
+    bytes.set(payload, 1);
+    return bytes;
+  },
+  minLength({bitLength}) {
+    return Math.ceil(bitLength / 8) + base58check.OVERHEAD;
+  },
+  maxLength({bitLength}) {
+    return Math.ceil(
+      (Math.ceil(bitLength / 8) + base58check.OVERHEAD) * 8 / Math.log2(58));
+  }
+});
+for(const [name, constant] of [
+  ['bech32', bech32.BECH32],
+  ['bech32m', bech32.BECH32M]
+]) {
+  registerEncoding({
+    name,
+    encode({bytes, fixedBitLength, hrp}) {
+      if(fixedBitLength !== undefined) {
+        bytes = _bytesWithFixedLength({bytes, fixedBitLength});
+      }
+      return bech32.encode({hrp, bytes, constant});
+    },
+    decode({data}) {
+      return bech32.decode({data, constant});
+    },
+    normalize({data}) {
+      // mixed case is invalid and is left to fail decoding
+      return data === data.toUpperCase() ? data.toLowerCase() : data;
+    },
+    hrp({data}) {
+      return bech32.getHrp(data);
+    },
+    minLength({bitLength}) {
+      return Math.ceil(Math.ceil(bitLength / 8) * 8 / 5) + bech32.OVERHEAD;
+    },
+    maxLength({bitLength}) {
+      return Math.ceil(Math.ceil(bitLength / 8) * 8 / 5) + bech32.OVERHEAD;
+    }
+  });
+}
+for(const [name, multibasePrefix, alphabet, pad, upper] of [
+  ['base32', 'b', base32.ALPHABET],
+  ['base32upper', 'B', base32.ALPHABET, false, true],
+  ['base32pad', 'c', base32.ALPHABET, true],
+  ['base32padupper', 'C', base32.ALPHABET, true, true],
+  ['base32hex', 'v', base32.HEX_ALPHABET],
+  ['base32hexupper', 'V', base32.HEX_ALPHABET, false, true],
+  ['base32hexpad', 't', base32.HEX_ALPHABET, true],
+  ['base32hexpadupper', 'T', base32.HEX_ALPHABET, true, true]
+]) {
+  registerEncoding(_createBase32Encoding(
+    {name, multibasePrefix, alphabet, pad, upper}));
+}
+registerEncoding(createBaseNEncoding({
+  name: 'base36',
+  multibasePrefix: 'k',
+  alphabet: '0123456789abcdefghijklmnopqrstuvwxyz',
+  caseInsensitive: true
+}));
+registerEncoding(createBaseNEncoding({
+  name: 'base36upper',
+  multibasePrefix: 'K',
+  alphabet: '0123456789abcdefghijklmnopqrstuvwxyz',
+  upper: true,
+  caseInsensitive: true
+}));
+registerEncoding({
+  ...createBaseNEncoding({name: 'crockford32', alphabet: crockford32.ALPHABET}),
+  normalize({data}) {
+    return crockford32.normalize(data);
+  },
+  checkSymbol({bytes}) {
+    return crockford32.checkSymbol(bytes);
+  }
+});
+for(const [name, multibasePrefix, url, pad] of [
+  ['base64', 'm', false],
+  ['base64pad', 'M', false, true],
+  ['base64url', 'u', true],
+  ['base64urlpad', 'U', true, true]
+]) {
+  registerEncoding(_createBase64Encoding({name, multibasePrefix, url, pad}));
+}
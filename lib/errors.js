@@ -0,0 +1,32 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Error thrown when an id's check symbol or checksum does not match its data.
+ */
+export class ChecksumError extends Error {
+  /**
+   * Creates a new ChecksumError.
+   *
+   * @param {string} [message] - The error message. Defaults to
+   *   'Invalid checksum.' followed by any typo positions.
+   * @param {object} [options] - The options to use.
+   * @param {Array<number>} [options.positions] - Character positions in the id
+   *   where a single typo would explain the mismatch, if the encoding can
+   *   locate errors.
+   */
+  constructor(message, {positions} = {}) {
+    if(message === undefined) {
+      message = 'Invalid checksum.';
+      if(positions && positions.length > 0) {
+        message += ` Possible typo at position ${positions.join(', ')}.`;
+      }
+    }
+    super(message);
+    this.name = 'ChecksumError';
+    if(positions !== undefined) {
+      this.positions = positions;
+    }
+  }
+}
@@ -2,51 +2,121 @@
  * Copyright (c) 2020 Digital Bazaar, Inc. All rights reserved.
  */
 import {
-  encode as base58encoder,
-  decode as base58decoder
-} from 'base58-universal';
+  createBaseNEncoding,
+  getEncoding,
+  getEncodingByMultibasePrefix
+} from './encodings.js';
+import * as bech32 from './bech32.js';
+import {ChaCha20} from './chacha20.js';
+import * as cid from './cid.js';
+import {crc32c} from './crc32c.js';
+import {ChecksumError} from './errors.js';
+import * as multihash from './multihash.js';
 import {
+  createNodeReadable,
+  createNodeTransform,
+  createReadableStream,
+  createTransformStream,
+  digest,
   getRandomBytes,
-  bytesToHex,
-  bytesFromHex
+  getRandomBytesSync
 } from './util.js';
+import * as uuid from './uuid.js';
 
-// multihash identity function code
-const MULTIHASH_IDENTITY_FUNCTION_CODE = 0x00;
+export {ChecksumError} from './errors.js';
+export {
+  createBaseNEncoding,
+  getEncoding,
+  getEncodingByMultibasePrefix,
+  registerEncoding
+} from './encodings.js';
+
+// default maximum id bit length, limits work done on untrusted input
+const DEFAULT_MAX_BIT_LENGTH = 4096;
+// hash functions accepted for content ids by default
+const CONTENT_HASH_FUNCTIONS = [
+  'sha2-256', 'sha2-384', 'sha2-512', 'sha3-256', 'sha3-384', 'sha3-512',
+  'blake2b-512'
+];
+// hash functions accepted for CIDs by default
+const CID_HASH_FUNCTIONS = ['identity', ...CONTENT_HASH_FUNCTIONS];
+// checksum name => checksum appended to id bytes
+const CHECKSUMS = new Map([
+  ['crc32c', {
+    name: 'crc32c',
+    size: 4,
+    compute: bytes => {
+      const value = crc32c(bytes);
+      return new Uint8Array(
+        [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff,
+          value & 0xff]);
+    }
+  }]
+]);
 
 function _calcOptionsBitLength({
   defaultLength,
-  // TODO: allow any bit length
-  minLength = 8,
-  // TODO: support maxLength
-  //maxLength = Infinity,
+  minLength = 1,
+  maxLength = Infinity,
   bitLength
 }) {
   if(bitLength === undefined) {
     return defaultLength;
   }
-  // TODO: allow any bit length
-  if(bitLength % 8 !== 0) {
-    throw new Error('Bit length must be a multiple of 8.');
+  if(!Number.isInteger(bitLength)) {
+    throw new TypeError('Bit length must be an integer.');
   }
   if(bitLength < minLength) {
     throw new Error(`Minimum bit length is ${minLength}.`);
   }
-  // TODO: support maxLength
-  //if(bitLength > maxLength) {
-  //  throw new Error(`Maximum bit length is ${maxLength}.`);
-  //}
+  if(bitLength > maxLength) {
+    throw new Error(`Maximum bit length is ${maxLength}.`);
+  }
   return bitLength;
 }
 
+// max bit length of encoded data, including any multihash and CID headers
+// and checksum
+function _calcMaxDataBitLength({
+  maxBitLength,
+  multihash: useMultihash,
+  cid: useCid = false,
+  checksum
+}) {
+  return maxBitLength +
+    (useMultihash ? multihash.MAX_HEADER_SIZE * 8 : 0) +
+    (useCid ? cid.MAX_HEADER_SIZE * 8 : 0) +
+    (checksum ? checksum.size * 8 : 0);
+}
+
+// check that no bits are set above `bitLength` in big-endian `bytes`
+function _checkBitLength({
+  bytes,
+  bitLength
+}) {
+  const byteLength = Math.ceil(bitLength / 8);
+  if(bytes.length < byteLength) {
+    return true;
+  }
+  // leading bytes beyond the byte length must be zero
+  const start = bytes.length - byteLength;
+  if(bytes.subarray(0, start).some(d => d !== 0)) {
+    return false;
+  }
+  // unused high bits of the first data byte must be zero
+  const unusedBits = byteLength * 8 - bitLength;
+  return (bytes[start] >> (8 - unusedBits)) === 0;
+}
+
 function _calcDataBitLength({
-  bitLength,
+  bytes,
   maxLength
 }) {
   if(maxLength === 0) {
-    return bitLength;
+    return bytes.length * 8;
   }
-  if(bitLength > maxLength) {
+  if(bytes.length > Math.ceil(maxLength / 8) ||
+    !_checkBitLength({bytes, bitLength: maxLength})) {
     throw new Error(`Input length greater than ${maxLength} bits.`);
   }
   return maxLength;
@@ -56,56 +126,159 @@ function _bytesWithBitLength({
   bytes,
   bitLength
 }) {
-  const length = bytes.length * 8;
-  if(length === bitLength) {
+  const byteLength = Math.ceil(bitLength / 8);
+  if(!_checkBitLength({bytes, bitLength})) {
+    throw new Error(
+      `Data length greater than ${bitLength} bits.`);
+  }
+  if(bytes.length === byteLength) {
     return bytes;
   }
-  if(length < bitLength) {
+  if(bytes.length < byteLength) {
     // pad start
-    const data = new Uint8Array(bitLength / 8);
+    const data = new Uint8Array(byteLength);
     data.set(bytes, data.length - bytes.length);
     return data;
   }
-  // trim start, ensure trimmed data is zero
-  const start = (length - bitLength) / 8;
-  if(bytes.subarray(0, start).some(d => d !== 0)) {
+  // trim start, trimmed data checked to be zero above
+  return bytes.subarray(bytes.length - byteLength);
+}
+
+// get the encoding for encoding options
+function _getEncoding({encoding, alphabet}) {
+  if(alphabet !== undefined) {
+    return createBaseNEncoding({name: 'custom', alphabet});
+  }
+  const result = getEncoding(encoding);
+  if(!result) {
+    throw new Error(`Unknown encoding type: "${encoding}".`);
+  }
+  return result;
+}
+
+function _getCidCodec({cidCodec}) {
+  const result = cid.getCodec(cidCodec);
+  if(!result) {
+    throw new Error(`Unknown CID codec "${cidCodec}".`);
+  }
+  return result;
+}
+
+function _getChecksum({checksum}) {
+  if(checksum === false) {
+    return;
+  }
+  const result = CHECKSUMS.get(checksum);
+  if(!result) {
+    throw new Error(`Unknown checksum "${checksum}".`);
+  }
+  return result;
+}
+
+function _checkTypeSeparator({typeSeparator}) {
+  if(!(typeof typeSeparator === 'string' && typeSeparator.length > 0)) {
+    throw new TypeError('"typeSeparator" must be a non-empty string.');
+  }
+  return typeSeparator;
+}
+
+function _checkType({type, typeSeparator}) {
+  if(!(typeof type === 'string' && type.length > 0)) {
+    throw new TypeError('Id types must be non-empty strings.');
+  }
+  if(type.includes(typeSeparator)) {
     throw new Error(
-      `Data length greater than ${bitLength} bits.`);
+      `Id type "${type}" must not contain the type separator ` +
+      `"${typeSeparator}".`);
   }
-  return bytes.subarray(start);
+  return type;
 }
 
-const _log2_16 = 4;
-function _base16Encoder({bytes, idEncoder}) {
-  let encoded = bytesToHex(bytes);
-  if(idEncoder.encoding === 'base16upper') {
-    encoded = encoded.toUpperCase();
+function _getVersion({version}) {
+  if(!(Number.isInteger(version) && version >= 0 && version <= 0xff)) {
+    throw new RangeError('Version must be an integer from 0 to 255.');
   }
-  if(idEncoder.fixedLength) {
-    const fixedBitLength = _calcDataBitLength({
-      bitLength: bytes.length * 8,
-      maxLength: idEncoder.fixedBitLength
-    });
-    const wantLength = Math.ceil(fixedBitLength / _log2_16);
-    // pad start with 0s
-    return encoded.padStart(wantLength, '0');
+  return version;
+}
+
+function _getHashFunction({hashFunction}) {
+  const result = multihash.getHashFunction(hashFunction);
+  if(!result) {
+    throw new Error(`Unknown hash function "${hashFunction}".`);
   }
-  return encoded;
+  return result;
 }
 
-const _log2_58 = Math.log2(58);
-function _base58Encoder({bytes, idEncoder}) {
-  const encoded = base58encoder(bytes);
-  if(idEncoder.fixedLength) {
-    const fixedBitLength = _calcDataBitLength({
-      bitLength: bytes.length * 8,
-      maxLength: idEncoder.fixedBitLength
-    });
-    const wantLength = Math.ceil(fixedBitLength / _log2_58);
-    // pad start with 0s (encoded as '1's)
-    return encoded.padStart(wantLength, '1');
+async function _digest({data, hashFunction, digestSize}) {
+  if(!(data instanceof Uint8Array)) {
+    throw new TypeError('"data" must be a Uint8Array.');
+  }
+  const {name, size} = _getHashFunction({hashFunction});
+  if(name === 'identity') {
+    return data;
+  }
+  if(digestSize === undefined) {
+    digestSize = size;
+  }
+  if(!(Number.isInteger(digestSize) && digestSize >= 1 && digestSize <= size)) {
+    throw new RangeError(
+      `Digest size for "${name}" must be an integer from 1 to ${size}.`);
+  }
+  // truncated digests keep the leading bytes
+  return (await digest({name, bytes: data})).subarray(0, digestSize);
+}
+
+// compares all bytes to avoid leaking where a mismatch occurs
+function _bytesEqual(a, b) {
+  if(a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for(let i = 0; i < a.length; ++i) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+// big-endian bytes => BigInt
+function _bytesToBigInt(bytes) {
+  let value = 0n;
+  for(const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  return value;
+}
+
+// BigInt => big-endian bytes of the given length
+function _bigIntToBytes({value, length}) {
+  const bytes = new Uint8Array(length);
+  for(let i = length - 1; i >= 0; --i) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+// validates snowflake field bit lengths, ids are at most 64 bits
+function _calcSnowflakeLayout({
+  timestampBitLength,
+  workerBitLength,
+  sequenceBitLength
+}) {
+  const layout = {
+    timestampBitLength: _calcOptionsBitLength(
+      {maxLength: 53, bitLength: timestampBitLength}),
+    workerBitLength: _calcOptionsBitLength(
+      {minLength: 0, maxLength: 32, bitLength: workerBitLength}),
+    sequenceBitLength: _calcOptionsBitLength(
+      {minLength: 0, maxLength: 32, bitLength: sequenceBitLength})
+  };
+  layout.bitLength = layout.timestampBitLength + layout.workerBitLength +
+    layout.sequenceBitLength;
+  if(layout.bitLength > 64) {
+    throw new RangeError('Snowflake ids must be at most 64 bits.');
   }
-  return encoded;
+  return layout;
 }
 
 export class IdGenerator {
@@ -115,20 +288,46 @@ export class IdGenerator {
    * An IdGenerator generates an array of id bytes.
    *
    * @param {object} [options] - The options to use.
-   * @param {number} [options.bitLength=128] - Number of bits to generate.
+   * @param {number} [options.bitLength=128] - Number of bits to generate. If
+   *   not a multiple of 8, the unused high bits of the first byte are zero.
+   * @param {number} [options.maxBitLength=4096] - Maximum allowed bit length.
+   * @param {Function} [options.randomSource] - Function that fills a
+   *   Uint8Array with random bytes and returns it or a Promise that resolves
+   *   to it. Must be synchronous to use `generateSync()`. Defaults to a
+   *   secure random source.
+   * @param {number} [options.poolSize=0] - Size in bytes of an entropy pool
+   *   that ids are sliced from, refilled when used up. Pool bytes are wiped
+   *   once used. Use `0` to fill random bytes for each id.
    *
    * @returns {IdGenerator} - New IdGenerator.
    */
   constructor({
-    bitLength
+    bitLength,
+    maxBitLength,
+    randomSource,
+    poolSize = 0
   } = {}) {
+    if(randomSource !== undefined && typeof randomSource !== 'function') {
+      throw new TypeError('"randomSource" must be a function.');
+    }
+    this.maxBitLength = _calcOptionsBitLength({
+      defaultLength: DEFAULT_MAX_BIT_LENGTH,
+      bitLength: maxBitLength
+    });
     this.bitLength = _calcOptionsBitLength({
       // default to 128 bits / 16 bytes
       defaultLength: 128,
-      // TODO: allow any bit length
-      minLength: 8,
+      maxLength: this.maxBitLength,
       bitLength,
     });
+    this.randomSource = randomSource;
+    const byteLength = Math.ceil(this.bitLength / 8);
+    if(!(Number.isInteger(poolSize) &&
+      (poolSize === 0 || poolSize >= byteLength))) {
+      throw new RangeError(
+        `"poolSize" must be 0 or an integer of at least ${byteLength}.`);
+    }
+    this.poolSize = poolSize;
   }
 
   /**
@@ -137,12 +336,359 @@ export class IdGenerator {
    * @returns {Uint8Array} - Array of random id bytes.
    */
   async generate() {
-    const buf = new Uint8Array(this.bitLength / 8);
-    await getRandomBytes(buf);
+    const length = Math.ceil(this.bitLength / 8);
+    if(this.poolSize) {
+      while(!this._pool || this._poolOffset + length > this._pool.length) {
+        await this._refillPool();
+      }
+      return this._mask(this._takePoolBytes(length));
+    }
+    const buf = new Uint8Array(length);
+    await this._fill(buf);
+    return this._mask(buf);
+  }
+
+  /**
+   * Generate random id bytes synchronously.
+   *
+   * @returns {Uint8Array} - Array of random id bytes.
+   */
+  generateSync() {
+    const length = Math.ceil(this.bitLength / 8);
+    if(this.poolSize) {
+      if(!this._pool || this._poolOffset + length > this._pool.length) {
+        const pool = new Uint8Array(this.poolSize);
+        this._fillSync(pool);
+        this._setPool(pool);
+      }
+      return this._mask(this._takePoolBytes(length));
+    }
+    const buf = new Uint8Array(length);
+    this._fillSync(buf);
+    return this._mask(buf);
+  }
+
+  /**
+   * Generate a batch of random id bytes from one random fill. The filled
+   * buffer is wiped once the ids are copied out of it.
+   *
+   * @param {number} count - Number of ids to generate.
+   *
+   * @returns {Array<Uint8Array>} - Arrays of random id bytes.
+   */
+  async generateBatch(count) {
+    if(!(Number.isSafeInteger(count) && count >= 0)) {
+      throw new TypeError('"count" must be a non-negative integer.');
+    }
+    const length = Math.ceil(this.bitLength / 8);
+    const buf = new Uint8Array(count * length);
+    await this._fill(buf);
+    const ids = new Array(count);
+    for(let i = 0; i < count; ++i) {
+      ids[i] = this._mask(buf.slice(i * length, (i + 1) * length));
+    }
+    buf.fill(0);
+    return ids;
+  }
+
+  /**
+   * Wipe and release the entropy pool, if any. A new pool is filled the next
+   * time an id is generated.
+   */
+  clearPool() {
+    this._setPool(undefined);
+  }
+
+  async _fill(buf) {
+    await (this.randomSource || getRandomBytes)(buf);
+  }
+
+  _fillSync(buf) {
+    const result = (this.randomSource || getRandomBytesSync)(buf);
+    if(result && typeof result.then === 'function') {
+      throw new Error(
+        '"randomSource" must be synchronous to generate synchronously.');
+    }
+  }
+
+  _refillPool() {
+    // share one refill between concurrent calls
+    if(!this._poolRefill) {
+      const pool = new Uint8Array(this.poolSize);
+      this._poolRefill = this._fill(pool)
+        .then(() => this._setPool(pool))
+        .finally(() => {
+          this._poolRefill = undefined;
+        });
+    }
+    return this._poolRefill;
+  }
+
+  _setPool(pool) {
+    // wipe any unused bytes of the previous pool
+    if(this._pool) {
+      this._pool.fill(0);
+    }
+    this._pool = pool;
+    this._poolOffset = 0;
+  }
+
+  _takePoolBytes(length) {
+    const start = this._poolOffset;
+    const bytes = this._pool.slice(start, start + length);
+    this._pool.fill(0, start, start + length);
+    this._poolOffset += length;
+    return bytes;
+  }
+
+  _mask(buf) {
+    // mask unused high bits
+    buf[0] &= 0xff >> (buf.length * 8 - this.bitLength);
     return buf;
   }
 }
 
+export class TimeOrderedIdGenerator {
+  /**
+   * Creates a new TimeOrderedIdGenerator instance.
+   *
+   * A TimeOrderedIdGenerator generates an array of id bytes with a
+   * millisecond timestamp in the high bits and random bits in the rest, so
+   * ids sort by creation time. Ids generated in the same millisecond, or
+   * after the clock moves backwards, reuse the last timestamp and increment
+   * the random bits so ids from one generator always increase.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {number} [options.bitLength=128] - Number of bits to generate. If
+   *   not a multiple of 8, the unused high bits of the first byte are zero.
+   * @param {number} [options.timestampBitLength=48] - Number of high bits used
+   *   for the timestamp.
+   * @param {number} [options.maxBitLength=4096] - Maximum allowed bit length.
+   * @param {Function} [options.now=Date.now] - Function that returns the
+   *   current time in milliseconds since the Unix epoch.
+   * @param {Function} [options.randomSource] - Random source for the random
+   *   bits. See `IdGenerator`.
+   *
+   * @returns {TimeOrderedIdGenerator} - New TimeOrderedIdGenerator.
+   */
+  constructor({
+    bitLength,
+    timestampBitLength = 48,
+    maxBitLength,
+    now = Date.now,
+    randomSource
+  } = {}) {
+    this.maxBitLength = _calcOptionsBitLength({
+      defaultLength: DEFAULT_MAX_BIT_LENGTH,
+      bitLength: maxBitLength
+    });
+    this.bitLength = _calcOptionsBitLength({
+      defaultLength: 128,
+      maxLength: this.maxBitLength,
+      bitLength
+    });
+    // at least one random bit is required
+    this.timestampBitLength = _calcOptionsBitLength({
+      maxLength: Math.min(this.bitLength - 1, 53),
+      bitLength: timestampBitLength
+    });
+    this.now = now;
+    this._random = new IdGenerator(
+      {bitLength: this.bitLength - this.timestampBitLength, randomSource});
+    this._lastTimestamp = -1;
+    this._lastRandom = 0n;
+  }
+
+  /**
+   * Generate time-ordered id bytes.
+   *
+   * @returns {Uint8Array} - Array of id bytes.
+   */
+  async generate() {
+    const randomBitLength = BigInt(this._random.bitLength);
+    let random = _bytesToBigInt(await this._random.generate());
+    // read clock after getting random bytes so concurrent calls stay ordered
+    let timestamp = this.now();
+    if(timestamp <= this._lastTimestamp) {
+      // same millisecond or clock moved backwards
+      timestamp = this._lastTimestamp;
+      random = this._lastRandom + 1n;
+      if(random >> randomBitLength) {
+        // random bits overflowed, move to the next millisecond
+        timestamp++;
+        random &= (1n << randomBitLength) - 1n;
+      }
+    }
+    if(!(Number.isSafeInteger(timestamp) && timestamp >= 0 &&
+      timestamp < 2 ** this.timestampBitLength)) {
+      throw new RangeError(
+        `Timestamp does not fit in ${this.timestampBitLength} bits.`);
+    }
+    this._lastTimestamp = timestamp;
+    this._lastRandom = random;
+    return _bigIntToBytes({
+      value: (BigInt(timestamp) << randomBitLength) | random,
+      length: Math.ceil(this.bitLength / 8)
+    });
+  }
+}
+
+/**
+ * Gets the millisecond timestamp from time-ordered id bytes.
+ *
+ * @param {object} options - The options to use.
+ * @param {Uint8Array} options.bytes - Id bytes, such as from `IdDecoder`.
+ * @param {number} [options.bitLength=128] - Number of id bits.
+ * @param {number} [options.timestampBitLength=48] - Number of high bits used
+ *   for the timestamp.
+ *
+ * @returns {number} - Timestamp in milliseconds since the Unix epoch.
+ */
+export function getIdTimestamp({
+  bytes,
+  bitLength = 128,
+  timestampBitLength = 48
+}) {
+  if(!_checkBitLength({bytes, bitLength})) {
+    throw new Error(`Input length greater than ${bitLength} bits.`);
+  }
+  return Number(
+    _bytesToBigInt(bytes) >> BigInt(bitLength - timestampBitLength));
+}
+
+export class SnowflakeIdGenerator {
+  /**
+   * Creates a new SnowflakeIdGenerator instance.
+   *
+   * A SnowflakeIdGenerator generates an array of id bytes laid out as
+   * `timestamp | worker | sequence` so workers can generate unique ids
+   * without coordinating. The sequence counts ids generated by the worker in
+   * the same millisecond. If it overflows, generation waits for the next
+   * millisecond. If the clock moves backwards, the last timestamp is reused.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} options.workerId - Worker id.
+   * @param {number} [options.epoch=0] - Custom epoch in milliseconds since the
+   *   Unix epoch.
+   * @param {number} [options.timestampBitLength=41] - Number of timestamp
+   *   bits.
+   * @param {number} [options.workerBitLength=10] - Number of worker id bits.
+   * @param {number} [options.sequenceBitLength=12] - Number of sequence bits.
+   * @param {Function} [options.now=Date.now] - Function that returns the
+   *   current time in milliseconds since the Unix epoch.
+   *
+   * @returns {SnowflakeIdGenerator} - New SnowflakeIdGenerator.
+   */
+  constructor({
+    workerId,
+    epoch = 0,
+    timestampBitLength = 41,
+    workerBitLength = 10,
+    sequenceBitLength = 12,
+    now = Date.now
+  } = {}) {
+    const layout = _calcSnowflakeLayout(
+      {timestampBitLength, workerBitLength, sequenceBitLength});
+    Object.assign(this, layout);
+    const maxWorkerId = 2 ** this.workerBitLength - 1;
+    if(!(Number.isInteger(workerId) && workerId >= 0 &&
+      workerId <= maxWorkerId)) {
+      throw new RangeError(
+        `"workerId" must be an integer from 0 to ${maxWorkerId}.`);
+    }
+    if(!Number.isSafeInteger(epoch)) {
+      throw new TypeError('"epoch" must be an integer.');
+    }
+    this.workerId = workerId;
+    this.epoch = epoch;
+    this.now = now;
+    this._lastTimestamp = -1;
+    this._sequence = 0;
+    // serializes generation so waiting for the next millisecond is safe
+    this._pending = Promise.resolve();
+  }
+
+  /**
+   * Generate snowflake id bytes.
+   *
+   * @returns {Uint8Array} - Array of id bytes.
+   */
+  async generate() {
+    const result = this._pending.then(() => this._generate());
+    this._pending = result.catch(() => {});
+    return result;
+  }
+
+  async _generate() {
+    // clock moving backwards reuses the last timestamp
+    let timestamp = Math.max(this._timestamp(), this._lastTimestamp);
+    if(timestamp === this._lastTimestamp) {
+      if(++this._sequence >= 2 ** this.sequenceBitLength) {
+        // sequence overflow, wait for the next millisecond
+        while(timestamp <= this._lastTimestamp) {
+          await new Promise(resolve => setTimeout(resolve, 1));
+          timestamp = this._timestamp();
+        }
+        this._sequence = 0;
+      }
+    } else {
+      this._sequence = 0;
+    }
+    if(!(timestamp >= 0 && timestamp < 2 ** this.timestampBitLength)) {
+      throw new RangeError(
+        `Timestamp does not fit in ${this.timestampBitLength} bits.`);
+    }
+    this._lastTimestamp = timestamp;
+    const value =
+      (BigInt(timestamp) <<
+        BigInt(this.workerBitLength + this.sequenceBitLength)) |
+      (BigInt(this.workerId) << BigInt(this.sequenceBitLength)) |
+      BigInt(this._sequence);
+    return _bigIntToBytes({value, length: Math.ceil(this.bitLength / 8)});
+  }
+
+  _timestamp() {
+    return this.now() - this.epoch;
+  }
+}
+
+/**
+ * Splits snowflake id bytes into their timestamp, worker id, and sequence.
+ *
+ * @param {object} options - The options to use.
+ * @param {Uint8Array} options.bytes - Id bytes, such as from `IdDecoder`.
+ * @param {number} [options.epoch=0] - Custom epoch in milliseconds since the
+ *   Unix epoch.
+ * @param {number} [options.timestampBitLength=41] - Number of timestamp bits.
+ * @param {number} [options.workerBitLength=10] - Number of worker id bits.
+ * @param {number} [options.sequenceBitLength=12] - Number of sequence bits.
+ *
+ * @returns {{timestamp: number, workerId: number, sequence: number}} - The
+ *   timestamp in milliseconds since the Unix epoch, worker id, and sequence.
+ */
+export function decodeSnowflakeId({
+  bytes,
+  epoch = 0,
+  timestampBitLength = 41,
+  workerBitLength = 10,
+  sequenceBitLength = 12
+}) {
+  const {bitLength} = _calcSnowflakeLayout(
+    {timestampBitLength, workerBitLength, sequenceBitLength});
+  if(!_checkBitLength({bytes, bitLength})) {
+    throw new Error(`Input length greater than ${bitLength} bits.`);
+  }
+  const value = _bytesToBigInt(bytes);
+  const field = (shift, length) =>
+    Number((value >> BigInt(shift)) & ((1n << BigInt(length)) - 1n));
+  return {
+    timestamp: field(workerBitLength + sequenceBitLength, timestampBitLength) +
+      epoch,
+    workerId: field(sequenceBitLength, workerBitLength),
+    sequence: field(0, sequenceBitLength)
+  };
+}
+
 export class IdEncoder {
   /**
    * Creates a new IdEncoder instance.
@@ -150,13 +696,51 @@ export class IdEncoder {
    * An IdEncoder encodes an array of id bytes into a specific encoding.
    *
    * @param {object} [options] - The options to use.
-   * @param {string} [options.encoding='base58'] - Encoding format.
+   * @param {string} [options.encoding='base58'] - Name of a registered
+   *   encoding. Built-in encodings are `base16`, `base16upper`, `base58`,
+   *   `base32`, `base32upper`, `base32pad`, `base32padupper`, `base32hex`,
+   *   `base32hexupper`, `base32hexpad`, `base32hexpadupper`, `base36`,
+   *   `base36upper`, `crockford32`, `base58check`, `bech32`, `bech32m`,
+   *   `base64`, `base64pad`, `base64url`, and `base64urlpad`. Encodings
+   *   without a multibase prefix, such as `crockford32`, `base58check`, and
+   *   `bech32`, require `multibase` to be `false`. Ignored if `alphabet` is
+   *   set.
+   * @param {string} [options.alphabet] - Custom alphabet of at least 2 unique
+   *   characters. Ids are encoded as big-endian numbers, leading zero bytes
+   *   and fixed length padding use the first character. Requires `multibase`
+   *   to be `false`.
    * @param {boolean} [options.fixedLength=false] - `true` to ensure fixed
    *   output length.
    * @param {number} [options.fixedBitLength] - Fixed output bit length or 0 to
    *   base on input byte size.
    * @param {boolean} [options.multibase=true] - Use multibase encoding.
    * @param {boolean} [options.multihash=false] - Use multihash encoding.
+   * @param {string} [options.hashFunction='identity'] - Multihash function
+   *   name used to label the bytes to encode (only for multihash encoding).
+   *   Any other function than `identity` expects a digest from that function,
+   *   which may be truncated.
+   * @param {boolean} [options.cid=false] - Encode as a CIDv1 of the multihash.
+   *   Implies `multihash`, requires `multibase`, and does not support a fixed
+   *   length.
+   * @param {string} [options.cidCodec='raw'] - CID content codec name (only
+   *   for CID encoding).
+   * @param {number} [options.maxBitLength=4096] - Maximum allowed input bit
+   *   length.
+   * @param {boolean} [options.checkSymbol=false] - Append a check symbol
+   *   (only for encodings with check symbols, such as `crockford32`).
+   * @param {string|boolean} [options.checksum=false] - Name of a checksum to
+   *   append to the id bytes before encoding, or `false` for none. The only
+   *   supported checksum is `crc32c`, which adds 32 bits. Any fixed bit
+   *   length applies to the id bytes without the checksum.
+   * @param {number} [options.version=0] - Version byte from 0 to 255 (only
+   *   for versioned encodings, such as `base58check`).
+   * @param {string} [options.hrp] - Human-readable part, such as `usr`.
+   *   Required for, and only used by, encodings with a human-readable part,
+   *   such as `bech32` and `bech32m`.
+   * @param {string} [options.type] - Id type to prefix ids with, such as
+   *   `user`, followed by `typeSeparator`. It must not contain the separator.
+   * @param {string} [options.typeSeparator='_'] - Separator between the id
+   *   type and the rest of the id.
    *
    * @returns {IdEncoder} - New IdEncoder.
    */
@@ -166,36 +750,86 @@ export class IdEncoder {
     fixedBitLength,
     multibase = true,
     multihash = false,
+    hashFunction = 'identity',
+    cid = false,
+    cidCodec = 'raw',
+    maxBitLength,
+    checkSymbol = false,
+    checksum = false,
+    version,
+    hrp,
+    type,
+    typeSeparator = '_',
+    alphabet
   } = {}) {
-    switch(encoding) {
-      case 'hex':
-      case 'base16':
-        this.encoder = _base16Encoder;
-        this.multibasePrefix = 'f';
-        break;
-      case 'base16upper':
-        this.encoder = _base16Encoder;
-        this.multibasePrefix = 'F';
-        break;
-      case 'base58':
-      case 'base58btc':
-        this.encoder = _base58Encoder;
-        this.multibasePrefix = 'z';
-        break;
-      default:
-        throw new Error(`Unknown encoding type: "${encoding}".`);
+    if(cid) {
+      if(!multibase) {
+        throw new Error('CIDs require multibase encoding.');
+      }
+      if(fixedLength || fixedBitLength !== undefined) {
+        throw new Error('CIDs do not support a fixed bit length.');
+      }
+      multihash = true;
+    }
+    if(type !== undefined) {
+      this.typeSeparator = _checkTypeSeparator({typeSeparator});
+      this.type = _checkType({type, typeSeparator});
     }
+    this.checksum = _getChecksum({checksum});
+    this.codec = _getEncoding({encoding, alphabet});
+    if(this.codec.versioned) {
+      this.version = _getVersion(
+        {version: version === undefined ? 0 : version});
+    } else if(version !== undefined) {
+      throw new Error(
+        `Encoding "${this.codec.name}" does not support versions.`);
+    }
+    if(this.codec.hrp) {
+      if(hrp === undefined) {
+        throw new Error(
+          `Encoding "${this.codec.name}" requires a human-readable part.`);
+      }
+      this.hrp = bech32.validateHrp(hrp);
+    } else if(hrp !== undefined) {
+      throw new Error(
+        `Encoding "${this.codec.name}" does not support a human-readable ` +
+        'part.');
+    }
+    if(multibase && this.codec.multibasePrefix === undefined) {
+      throw new Error(
+        `Encoding "${this.codec.name}" does not support multibase.`);
+    }
+    if(checkSymbol && !this.codec.checkSymbol) {
+      throw new Error(
+        `Encoding "${this.codec.name}" does not support check symbols.`);
+    }
+    this.maxBitLength = _calcOptionsBitLength({
+      defaultLength: DEFAULT_MAX_BIT_LENGTH,
+      bitLength: maxBitLength
+    });
     this.fixedLength = fixedLength || fixedBitLength !== undefined;
     if(this.fixedLength) {
       this.fixedBitLength = _calcOptionsBitLength({
         // default of 0 calculates from input size
         defaultLength: 0,
+        maxLength: _calcMaxDataBitLength(
+          {maxBitLength: this.maxBitLength, multihash, cid}),
         bitLength: fixedBitLength
       });
     }
-    this.encoding = encoding;
+    this.encoding = alphabet === undefined ? encoding : this.codec.name;
+    this.multibasePrefix = this.codec.multibasePrefix;
     this.multibase = multibase;
     this.multihash = multihash;
+    this.hashFunction = _getHashFunction({hashFunction});
+    if(!multihash && this.hashFunction.name !== 'identity') {
+      throw new Error('Hash functions require multihash encoding.');
+    }
+    this.cid = cid;
+    if(cid) {
+      this.cidCodec = _getCidCodec({cidCodec});
+    }
+    this.checkSymbol = checkSymbol;
   }
 
   /**
@@ -206,26 +840,59 @@ export class IdEncoder {
    * @returns {string} - Encoded string.
    */
   encode(bytes) {
+    if(bytes.length > Math.ceil(this.maxBitLength / 8) ||
+      !_checkBitLength({bytes, bitLength: this.maxBitLength})) {
+      throw new Error(
+        `Input length greater than maximum of ${this.maxBitLength} bits.`);
+    }
     if(this.multihash) {
-      const byteSize = bytes.length;
-
-      if(byteSize > 127) {
-        throw new RangeError('Identifier size too large.');
-      }
-      // <varint hash fn code> <varint digest size in bytes> <hash fn output>
-      //  <identity function>             <byte size>                <raw bytes>
-      const multihash = new Uint8Array(2 + byteSize);
-      // <varint hash fn code>: identity function
-      multihash.set([MULTIHASH_IDENTITY_FUNCTION_CODE]);
-      // <varint digest size in bytes>
-      multihash.set([byteSize], 1);
-      // <hash fn output>: identifier bytes
-      multihash.set(bytes, 2);
-      bytes = multihash;
-    }
-    const encoded = this.encoder({bytes, idEncoder: this});
+      const {code, size} = this.hashFunction;
+      if(size !== undefined && !(bytes.length >= 1 && bytes.length <= size)) {
+        throw new RangeError(
+          `Digest size for "${this.hashFunction.name}" must be from 1 to ` +
+          `${size} bytes.`);
+      }
+      // <hash function> <byte size> <digest or raw bytes>
+      bytes = multihash.encode({code, digest: bytes});
+    }
+    if(this.cid) {
+      // <version> <content codec> <multihash>
+      bytes = cid.encode({code: this.cidCodec.code, multihash: bytes});
+    }
+    let fixedBitLength;
+    if(this.fixedLength) {
+      fixedBitLength = _calcDataBitLength({
+        bytes,
+        maxLength: this.fixedBitLength
+      });
+    }
+    if(this.checksum) {
+      // <id bytes> <checksum>, id bytes are padded to any fixed length so
+      // leading zeros are covered by the checksum
+      const {checksum} = this;
+      if(fixedBitLength !== undefined) {
+        bytes = _bytesWithBitLength({bytes, bitLength: fixedBitLength});
+      }
+      const checksumBytes = checksum.compute(bytes);
+      const data = new Uint8Array(bytes.length + checksumBytes.length);
+      data.set(bytes);
+      data.set(checksumBytes, bytes.length);
+      bytes = data;
+      if(fixedBitLength !== undefined) {
+        fixedBitLength += checksum.size * 8;
+      }
+    }
+    let encoded = this.codec.encode(
+      {bytes, fixedBitLength, version: this.version, hrp: this.hrp});
+    if(this.checkSymbol) {
+      encoded += this.codec.checkSymbol({bytes});
+    }
     if(this.multibase) {
-      return this.multibasePrefix + encoded;
+      encoded = this.multibasePrefix + encoded;
+    }
+    if(this.type !== undefined) {
+      // <type> <separator> <multibase prefix> <encoded data>
+      encoded = this.type + this.typeSeparator + encoded;
     }
     return encoded;
   }
@@ -241,9 +908,11 @@ export class IdDecoder {
    *
    * @param {object} [options] - The options to use.
    * @param {string} [options.encoding='base58'] - Encoding format. Ignored if
-   *   multibase is true.
+   *   multibase is true or `alphabet` is set.
+   * @param {string} [options.alphabet] - Custom alphabet of at least 2 unique
+   *   characters. Requires `multibase` to be `false`.
    * @param {number} [options.fixedBitLength] - Fixed output bit length. Values
-   *   with leading non-zero data will error.
+   *   with non-zero data outside of the bit length will error.
    * @param {boolean} [options.multibase=true] - Use multibase encoding to
    *   detect the id format.
    * @param {boolean} [options.multihash=false] - Use multihash encoding to
@@ -251,6 +920,34 @@ export class IdDecoder {
    * @param {number} [options.expectedSize=32] - Optional expected identifier
    *   size in bytes (only for multihash encoding). Use `0` to disable size
    *   check.
+   * @param {Array<string>} [options.hashFunctions=['identity']] - Multihash
+   *   function names to accept (only for multihash encoding). Defaults to all
+   *   supported hash functions for CIDs.
+   * @param {boolean} [options.cid=false] - Decode a CIDv1. Implies
+   *   `multihash` and requires `multibase`. `expectedSize` defaults to `0`.
+   * @param {Array<string>} [options.cidCodecs] - CID content codec names to
+   *   accept. Defaults to all supported codecs.
+   * @param {number} [options.maxBitLength=4096] - Maximum allowed decoded bit
+   *   length. Longer encoded ids are rejected before being decoded.
+   * @param {boolean} [options.checkSymbol=false] - Require and verify a check
+   *   symbol (only for encodings with check symbols, such as `crockford32`). A
+   *   mismatch throws a `ChecksumError`.
+   * @param {string|boolean} [options.checksum=false] - Name of a checksum to
+   *   require, verify, and strip from the decoded bytes, or `false` for none.
+   *   The only supported checksum is `crc32c`. A mismatch throws a
+   *   `ChecksumError`.
+   * @param {number} [options.version] - Version byte to require (only for
+   *   versioned encodings, such as `base58check`). Defaults to accepting any
+   *   version.
+   * @param {string} [options.hrp] - Human-readable part to require (only for
+   *   encodings with a human-readable part, such as `bech32` and `bech32m`).
+   *   Defaults to accepting any human-readable part.
+   * @param {Array<string>} [options.types] - Id types to accept. Ids must
+   *   start with one of these types followed by `typeSeparator`, which is
+   *   removed before any multibase prefix is read. Defaults to ids without
+   *   a type.
+   * @param {string} [options.typeSeparator='_'] - Separator between the id
+   *   type and the rest of the id.
    * @returns {IdDecoder} - New IdDecoder.
    */
   constructor({
@@ -258,13 +955,82 @@ export class IdDecoder {
     fixedBitLength,
     multibase = true,
     multihash = false,
-    expectedSize = 32
+    cid = false,
+    expectedSize = cid ? 0 : 32,
+    hashFunctions = cid ? CID_HASH_FUNCTIONS : ['identity'],
+    cidCodecs,
+    maxBitLength,
+    checkSymbol = false,
+    checksum = false,
+    version,
+    hrp,
+    types,
+    typeSeparator = '_',
+    alphabet
   } = {}) {
+    if(cid) {
+      if(!multibase) {
+        throw new Error('CIDs require multibase encoding.');
+      }
+      if(fixedBitLength) {
+        throw new Error('CIDs do not support a fixed bit length.');
+      }
+      multihash = true;
+    }
+    if(alphabet !== undefined) {
+      if(multibase) {
+        throw new Error('Custom alphabets do not support multibase.');
+      }
+      this.codec = createBaseNEncoding({name: 'custom', alphabet});
+      encoding = this.codec.name;
+    }
+    this.maxBitLength = _calcOptionsBitLength({
+      defaultLength: DEFAULT_MAX_BIT_LENGTH,
+      bitLength: maxBitLength
+    });
     this.encoding = encoding;
-    this.fixedBitLength = fixedBitLength;
+    this.fixedBitLength = _calcOptionsBitLength({
+      // 0 or undefined disables fixed bit length
+      defaultLength: undefined,
+      minLength: 0,
+      maxLength: _calcMaxDataBitLength(
+        {maxBitLength: this.maxBitLength, multihash, cid}),
+      bitLength: fixedBitLength
+    });
     this.multibase = multibase;
     this.multihash = multihash;
     this.expectedSize = expectedSize;
+    this.hashFunctions = hashFunctions.map(
+      hashFunction => _getHashFunction({hashFunction}).name);
+    this.cid = cid;
+    if(cid && cidCodecs !== undefined) {
+      this.cidCodecs = cidCodecs.map(
+        cidCodec => _getCidCodec({cidCodec}).name);
+    }
+    this.checkSymbol = checkSymbol;
+    this.checksum = _getChecksum({checksum});
+    if(version !== undefined) {
+      const codec = this.codec || getEncoding(encoding);
+      if(multibase || !(codec && codec.versioned)) {
+        throw new Error(`Encoding "${encoding}" does not support versions.`);
+      }
+      this.version = _getVersion({version});
+    }
+    if(hrp !== undefined) {
+      const codec = this.codec || getEncoding(encoding);
+      if(multibase || !(codec && codec.hrp)) {
+        throw new Error(
+          `Encoding "${encoding}" does not support a human-readable part.`);
+      }
+      this.hrp = bech32.validateHrp(hrp);
+    }
+    if(types !== undefined) {
+      if(!(Array.isArray(types) && types.length > 0)) {
+        throw new TypeError('"types" must be a non-empty array.');
+      }
+      this.typeSeparator = _checkTypeSeparator({typeSeparator});
+      this.types = types.map(type => _checkType({type, typeSeparator}));
+    }
   }
 
   /**
@@ -272,87 +1038,384 @@ export class IdDecoder {
    *
    * @param {string} id - Id to decode.
    *
-   * @returns {Uint8Array} - Array of decoded id bytes.
+   * @returns {Uint8Array} - Array of decoded id bytes. For multihash encoding
+   *   these are the raw bytes or digest.
    */
   decode(id) {
-    let encoding;
+    return this._decode(id).bytes;
+  }
+
+  /**
+   * Validate an id string without throwing. The same rules as `decode()` are
+   * used, but every problem found is reported.
+   *
+   * @param {string} id - Id to validate.
+   *
+   * @returns {{valid: boolean, errors: Array<{code: string, message: string}>,
+   *   bytes: (Uint8Array|undefined)}} - Whether the id is valid, the problems
+   *   found, and the decoded id bytes if valid.
+   */
+  validate(id) {
+    const errors = [];
+    const result = this._decode(id, {errors});
+    if(errors.length > 0) {
+      return {valid: false, errors};
+    }
+    return {valid: true, errors, bytes: result.bytes};
+  }
+
+  /**
+   * Decode a CIDv1 string into its parts. Requires the `cid` option.
+   *
+   * @param {string} id - CID to decode.
+   *
+   * @returns {{codec: string, hashFunction: string, digest: Uint8Array}} -
+   *   The content codec name, hash function name, and digest bytes.
+   */
+  decodeCid(id) {
+    if(!this.cid) {
+      throw new Error('Decoding CIDs requires the "cid" option.');
+    }
+    const {bytes: digest, hashFunction, cidCodec} = this._decode(id);
+    return {codec: cidCodec.name, hashFunction: hashFunction.name, digest};
+  }
+
+  /**
+   * Decode a typed id string into its type and bytes. Requires the `types`
+   * option.
+   *
+   * @param {string} id - Typed id to decode.
+   *
+   * @returns {{type: string, bytes: Uint8Array}} - The id type and decoded
+   *   id bytes.
+   */
+  decodeTyped(id) {
+    if(!this.types) {
+      throw new Error('Decoding typed ids requires the "types" option.');
+    }
+    const {type, bytes} = this._decode(id);
+    return {type, bytes};
+  }
+
+  /**
+   * Verifies that data matches a content id. The id must be multihash encoded
+   * with one of the accepted hash functions. Truncated digests are compared
+   * against the same truncation of the data digest.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - Content id to verify.
+   * @param {Uint8Array} options.data - Data the id should be derived from.
+   *
+   * @returns {Promise<boolean>} - `true` if the data matches the id, `false`
+   *   if not. Invalid ids throw an error.
+   */
+  async verify({id, data}) {
+    if(!this.multihash || this.fixedBitLength) {
+      throw new Error(
+        'Verifying content ids requires multihash encoding without a fixed ' +
+        'bit length.');
+    }
+    const {bytes, hashFunction} = this._decode(id);
+    const expected = await _digest(
+      {data, hashFunction: hashFunction.name, digestSize: bytes.length});
+    return _bytesEqual(bytes, expected);
+  }
+
+  _decode(id, {errors} = {}) {
+    // throws when decoding, collects all problems found when validating;
+    // problems that prevent further checks also return
+    const report = (code, error) => {
+      if(!errors) {
+        throw error;
+      }
+      errors.push({code, message: error.message});
+    };
+    if(typeof id !== 'string') {
+      return report('INVALID_ID', new TypeError('"id" must be a string.'));
+    }
+    let type;
+    // characters before the encoded data, used to report typo positions
+    let offset = 0;
+    if(this.types) {
+      // the type is removed first so it is not read as a multibase prefix
+      const index = id.indexOf(this.typeSeparator);
+      if(index === -1) {
+        report('TYPE_NOT_FOUND', new Error('Id type not found.'));
+      } else {
+        type = id.substring(0, index);
+        if(!this.types.includes(type)) {
+          report('INVALID_TYPE', new Error(`Invalid id type "${type}".`));
+        }
+        offset = index + this.typeSeparator.length;
+        id = id.substring(offset);
+      }
+    }
+    let codec;
     let data;
     if(this.multibase) {
       if(id.length < 1) {
-        throw new Error('Multibase encoding not found.');
+        return report(
+          'MULTIBASE_NOT_FOUND', new Error('Multibase encoding not found.'));
       }
       const prefix = id[0];
       data = id.substring(1);
-      switch(id[0]) {
-        case 'f':
-          encoding = 'base16';
-          break;
-        case 'F':
-          encoding = 'base16upper';
-          break;
-        case 'z':
-          encoding = 'base58';
-          break;
-        default:
-          throw new Error(`Unknown multibase prefix "${prefix}".`);
+      ++offset;
+      codec = getEncodingByMultibasePrefix(prefix);
+      if(!codec) {
+        return report(
+          'UNKNOWN_MULTIBASE_PREFIX',
+          new Error(`Unknown multibase prefix "${prefix}".`));
       }
     } else {
-      encoding = this.encoding;
+      codec = this.codec || getEncoding(this.encoding);
+      if(!codec) {
+        return report(
+          'UNKNOWN_ENCODING',
+          new Error(`Unknown encoding "${this.encoding}".`));
+      }
       data = id;
     }
+    if(codec.normalize) {
+      data = codec.normalize({data});
+    }
+    let hrp;
+    if(codec.hrp) {
+      hrp = codec.hrp({data});
+      if(hrp === undefined) {
+        report('HRP_NOT_FOUND', new Error('Human-readable part not found.'));
+      } else if(this.hrp !== undefined && hrp !== this.hrp) {
+        report(
+          'INVALID_HRP', new Error(`Invalid human-readable part "${hrp}".`));
+      }
+    }
+    let checkSymbol;
+    if(this.checkSymbol) {
+      if(!codec.checkSymbol) {
+        return report('UNSUPPORTED_CHECK_SYMBOL', new Error(
+          `Encoding "${codec.name}" does not support check symbols.`));
+      }
+      if(data.length < 1) {
+        return report(
+          'CHECK_SYMBOL_NOT_FOUND', new Error('Check symbol not found.'));
+      }
+      checkSymbol = data.slice(-1);
+      data = data.slice(0, -1);
+    }
+    // check size before decoding to limit work done on untrusted input
+    const maxDataBitLength = _calcMaxDataBitLength({
+      maxBitLength: this.maxBitLength,
+      multihash: this.multihash,
+      cid: this.cid,
+      checksum: this.checksum
+    });
+    const maxDataLength = codec.maxLength({bitLength: maxDataBitLength});
+    if(data.length - (hrp === undefined ? 0 : hrp.length) > maxDataLength) {
+      return report('ENCODED_DATA_TOO_LONG', new Error(
+        `Encoded data length greater than maximum of ${maxDataLength} ` +
+        'characters.'));
+    }
     let decoded;
-    switch(encoding) {
-      case 'hex':
-      case 'base16':
-      case 'base16upper':
-        if(data.length % 2 !== 0) {
-          throw new Error('Invalid base16 data length.');
-        }
-        decoded = bytesFromHex(data);
-        break;
-      case 'base58':
-        decoded = base58decoder(data);
-        break;
-      default:
-        throw new Error(`Unknown encoding "${encoding}".`);
+    try {
+      decoded = codec.decode({data});
+    } catch(e) {
+      if(!(e instanceof ChecksumError)) {
+        // codecs may also throw on malformed data
+        return report('INVALID_ENCODED_DATA', e);
+      }
+      if(e.positions && offset > 0) {
+        e = new ChecksumError(
+          undefined, {positions: e.positions.map(p => p + offset)});
+      }
+      return report('INVALID_CHECKSUM', e);
     }
     if(!decoded) {
-      throw new Error(`Invalid encoded data "${data}".`);
+      return report(
+        'INVALID_ENCODED_DATA', new Error(`Invalid encoded data "${data}".`));
+    }
+    if(checkSymbol !== undefined &&
+      checkSymbol !== codec.checkSymbol({bytes: decoded})) {
+      report(
+        'INVALID_CHECK_SYMBOL', new ChecksumError('Invalid check symbol.'));
+    }
+    let version;
+    if(codec.versioned) {
+      // <version> <id bytes>
+      version = decoded[0];
+      if(this.version !== undefined && version !== this.version) {
+        report('INVALID_VERSION', new Error(`Invalid version "${version}".`));
+      }
+      decoded = decoded.subarray(1);
+    }
+    if(!_checkBitLength({bytes: decoded, bitLength: maxDataBitLength})) {
+      return report('DECODED_DATA_TOO_LONG', new Error(
+        `Decoded data length greater than maximum of ${maxDataBitLength} ` +
+        'bits.'));
+    }
+    if(this.checksum) {
+      const {checksum, fixedBitLength} = this;
+      if(decoded.length < checksum.size) {
+        return report(
+          'CHECKSUM_NOT_FOUND', new ChecksumError('Checksum not found.'));
+      }
+      const checksumBytes = decoded.subarray(-checksum.size);
+      decoded = decoded.subarray(0, -checksum.size);
+      // the checksum is over the id bytes padded to any fixed length, data
+      // that is too long is reported below
+      const bytes = fixedBitLength &&
+        _checkBitLength({bytes: decoded, bitLength: fixedBitLength}) ?
+        _bytesWithBitLength({bytes: decoded, bitLength: fixedBitLength}) :
+        decoded;
+      if(!_bytesEqual(checksumBytes, checksum.compute(bytes))) {
+        report('INVALID_CHECKSUM', new ChecksumError());
+      }
     }
     if(this.fixedBitLength) {
-      return _bytesWithBitLength({
-        bytes: decoded,
-        bitLength: this.fixedBitLength
-      });
+      if(!_checkBitLength({bytes: decoded, bitLength: this.fixedBitLength})) {
+        return report('DECODED_DATA_TOO_LONG', new Error(
+          `Data length greater than ${this.fixedBitLength} bits.`));
+      }
+      return {
+        bytes: _bytesWithBitLength({
+          bytes: decoded,
+          bitLength: this.fixedBitLength
+        }),
+        version,
+        hrp,
+        type
+      };
     }
-    if(this.multihash) {
-      // <varint hash fn code>: identity function
-      const [hashFnCode] = decoded;
-
-      if(hashFnCode !== MULTIHASH_IDENTITY_FUNCTION_CODE) {
-        throw new Error('Invalid multihash function code.');
+    let cidCodec;
+    if(this.cid) {
+      let parsed;
+      try {
+        parsed = cid.decode(decoded);
+      } catch(e) {
+        return report('INVALID_CID', e);
       }
-      // <varint digest size in bytes>
-      const digestSize = decoded[1];
-
-      if(digestSize > 127) {
-        throw new RangeError('Decoded identifier size too large.');
+      cidCodec = cid.getCodecByCode(parsed.code);
+      if(!(cidCodec &&
+        (!this.cidCodecs || this.cidCodecs.includes(cidCodec.name)))) {
+        report('INVALID_CID_CODEC', new Error('Invalid CID codec.'));
       }
+      decoded = parsed.multihash;
+    }
+    let hashFunction;
+    if(this.multihash) {
+      let parsed;
+      try {
+        parsed = multihash.decode(decoded);
+      } catch(e) {
+        return report('INVALID_MULTIHASH', e);
+      }
+      const {code, digest: bytes} = parsed;
 
-      const bytes = decoded.subarray(2);
-
-      if(bytes.byteLength !== digestSize) {
-        throw new RangeError('Unexpected identifier size.');
+      hashFunction = multihash.getHashFunctionByCode(code);
+      if(!(hashFunction && this.hashFunctions.includes(hashFunction.name))) {
+        report(
+          'INVALID_HASH_FUNCTION',
+          new Error('Invalid multihash function code.'));
+      } else {
+        const {size} = hashFunction;
+        if(size !== undefined &&
+          !(bytes.length >= 1 && bytes.length <= size)) {
+          report('INVALID_DIGEST_SIZE', new RangeError(
+            `Invalid digest size. Digest for "${hashFunction.name}" must be ` +
+            `from 1 to ${size} bytes.`));
+        }
       }
       if(this.expectedSize && bytes.byteLength !== this.expectedSize) {
-        throw new RangeError(
+        report('INVALID_SIZE', new RangeError(
           `Invalid decoded identifier size. Identifier must be ` +
-            `"${this.expectedSize}" bytes.`);
+            `"${this.expectedSize}" bytes.`));
       }
 
       decoded = bytes;
     }
-    return decoded;
+    return {bytes: decoded, hashFunction, cidCodec, version, hrp, type};
+  }
+}
+
+export class IdTranscoder {
+  /**
+   * Creates a new IdTranscoder instance.
+   *
+   * An IdTranscoder decodes an id string with an `IdDecoder` and re-encodes
+   * the id bytes with an `IdEncoder` without losing data. A decoder fixed bit
+   * length is used as the encoder fixed bit length unless the encoder
+   * options set a non-zero one. An `IdEncoder` instance must have a fixed bit
+   * length if the decoder does. Conversions that would drop id bits, a
+   * multihash function, a CID codec, or an id type are rejected.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {IdDecoder|object} [options.decoder] - `IdDecoder` or options to
+   *   create one.
+   * @param {IdEncoder|object} [options.encoder] - `IdEncoder` or options to
+   *   create one.
+   *
+   * @returns {IdTranscoder} - New IdTranscoder.
+   */
+  constructor({decoder = {}, encoder = {}} = {}) {
+    if(!(decoder instanceof IdDecoder)) {
+      decoder = new IdDecoder(decoder);
+    }
+    if(decoder.fixedBitLength && decoder.multihash) {
+      throw new Error(
+        'Transcoding multihash ids with a fixed bit length is not supported.');
+    }
+    // keep the source bit length, multihash ids have an explicit size
+    const keepBitLength = decoder.fixedBitLength &&
+      !(encoder.multihash || encoder.cid) && !encoder.fixedBitLength;
+    if(!(encoder instanceof IdEncoder)) {
+      if(keepBitLength) {
+        encoder = {...encoder, fixedBitLength: decoder.fixedBitLength};
+      }
+      encoder = new IdEncoder(encoder);
+    } else if(keepBitLength) {
+      throw new Error(
+        `Target encoder must have a fixed bit length to keep source fixed ` +
+        `bit length ${decoder.fixedBitLength}.`);
+    }
+    if(decoder.fixedBitLength && encoder.fixedBitLength &&
+      encoder.fixedBitLength < decoder.fixedBitLength) {
+      throw new RangeError(
+        `Target fixed bit length ${encoder.fixedBitLength} is less than ` +
+        `source fixed bit length ${decoder.fixedBitLength}.`);
+    }
+    this.decoder = decoder;
+    this.encoder = encoder;
+  }
+
+  /**
+   * Transcode an id string.
+   *
+   * @param {string} id - Id to transcode.
+   *
+   * @returns {string} - Re-encoded id string.
+   */
+  transcode(id) {
+    const {
+      bytes, hashFunction, cidCodec, version, hrp, type
+    } = this.decoder._decode(id);
+    const {encoder} = this;
+    if(type !== undefined && encoder.type !== type) {
+      throw new Error(`Transcoding would lose id type "${type}".`);
+    }
+    if(version !== undefined && encoder.version !== version) {
+      throw new Error(`Transcoding would lose version "${version}".`);
+    }
+    if(hrp !== undefined && encoder.hrp !== hrp) {
+      throw new Error(`Transcoding would lose human-readable part "${hrp}".`);
+    }
+    if(hashFunction && hashFunction.name !== 'identity' &&
+      !(encoder.multihash && encoder.hashFunction.name === hashFunction.name)) {
+      throw new Error(
+        `Transcoding would lose multihash function "${hashFunction.name}".`);
+    }
+    if(cidCodec && !(encoder.cid && encoder.cidCodec.name === cidCodec.name)) {
+      throw new Error(`Transcoding would lose CID codec "${cidCodec.name}".`);
+    }
+    // encoding checks that the bytes fit in the target bit lengths
+    return encoder.encode(bytes);
   }
 }
 
@@ -369,6 +1432,197 @@ export async function generateId(options) {
     .encode(await new IdGenerator(options).generate());
 }
 
+/**
+ * Generates a batch of encoded id strings from one random fill.
+ *
+ * @param {object} options - The options to use. See `IdEncoder` and
+ *   `IdGenerator` for other available options.
+ * @param {number} options.count - Number of ids to generate.
+ *
+ * @returns {Promise<Array<string>>} - Encoded string ids.
+ */
+export async function generateIds({count, ...options} = {}) {
+  const encoder = new IdEncoder(options);
+  const batch = await new IdGenerator(options).generateBatch(count);
+  return batch.map(bytes => {
+    const id = encoder.encode(bytes);
+    bytes.fill(0);
+    return id;
+  });
+}
+
+/**
+ * Iterates over encoded id strings generated from random bits.
+ *
+ * @param {object} [options] - The options to use. See `IdEncoder` and
+ *   `IdGenerator` for other available options.
+ * @param {number} [options.count=Infinity] - Maximum number of ids.
+ * @param {AbortSignal} [options.signal] - Signal to stop iterating. An
+ *   aborted signal throws its abort reason.
+ *
+ * @returns {object} - Async iterable of encoded string ids.
+ */
+export function iterateIds({
+  count = Infinity,
+  signal,
+  ...options
+} = {}) {
+  if(!(count === Infinity || (Number.isSafeInteger(count) && count >= 0))) {
+    throw new TypeError('"count" must be a non-negative integer.');
+  }
+  // create encoder and generator now so invalid options throw early
+  const encoder = new IdEncoder(options);
+  const generator = new IdGenerator(options);
+  return _iterateIds({count, signal, encoder, generator});
+}
+
+async function* _iterateIds({count, signal, encoder, generator}) {
+  for(let i = 0; i < count; ++i) {
+    _throwIfAborted(signal);
+    const bytes = await generator.generate();
+    _throwIfAborted(signal);
+    yield encoder.encode(bytes);
+  }
+}
+
+/**
+ * Creates a WHATWG `ReadableStream` of encoded id strings. Ids are only
+ * generated when the stream is read. See `iterateIds()` for options.
+ *
+ * @param {object} [options] - The options to use.
+ *
+ * @returns {ReadableStream} - Stream of encoded string ids.
+ */
+export function createIdReadableStream(options) {
+  return createReadableStream(iterateIds(options));
+}
+
+/**
+ * Creates a Node.js object mode `Readable` of encoded id strings. Ids are
+ * only generated when the stream is read. Not supported in browsers. See
+ * `iterateIds()` for options.
+ *
+ * @param {object} [options] - The options to use.
+ *
+ * @returns {object} - Node.js `Readable` stream of encoded string ids.
+ */
+export function createIdReadable(options) {
+  return createNodeReadable(iterateIds(options));
+}
+
+/**
+ * Creates a WHATWG `TransformStream` that transcodes newline-delimited ids.
+ * Each line is transcoded with an `IdTranscoder`. Input chunks may be strings
+ * or UTF-8 bytes, output chunks are strings with one id per line. Lines that
+ * fail to transcode do not abort the stream, they are handled according to
+ * `errorMode`.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {IdDecoder|object} [options.decoder] - `IdDecoder` or options to
+ *   create one.
+ * @param {IdEncoder|object} [options.encoder] - `IdEncoder` or options to
+ *   create one.
+ * @param {string} [options.errorMode='report'] - `report` to write a
+ *   `error: line <number>: <message>` line to the output in place of a bad
+ *   line or `channel` to omit bad lines from the output and pass them to
+ *   `onError`.
+ * @param {Function} [options.onError] - Error side channel called with
+ *   `{lineNumber, line, error}` for each bad line. Required for `channel`
+ *   mode.
+ *
+ * @returns {TransformStream} - Transcoding stream.
+ */
+export function createIdTranscodeStream(options) {
+  return createTransformStream(_createLineTranscoder(options));
+}
+
+/**
+ * Creates a Node.js `Transform` that transcodes newline-delimited ids. Not
+ * supported in browsers. See `createIdTranscodeStream()` for options.
+ *
+ * @param {object} [options] - The options to use.
+ *
+ * @returns {object} - Node.js `Transform` stream.
+ */
+export function createIdTranscodeTransform(options) {
+  return createNodeTransform(_createLineTranscoder(options));
+}
+
+function _createLineTranscoder({
+  decoder = {},
+  encoder = {},
+  errorMode = 'report',
+  onError
+} = {}) {
+  const transcoder = new IdTranscoder({decoder, encoder});
+  if(!['report', 'channel'].includes(errorMode)) {
+    throw new Error(`Unknown error mode "${errorMode}".`);
+  }
+  if(errorMode === 'channel' && typeof onError !== 'function') {
+    throw new TypeError('"onError" must be a function in "channel" mode.');
+  }
+  const textDecoder = new TextDecoder();
+  let remainder = '';
+  let lineNumber = 0;
+
+  function transcodeLine(line) {
+    ++lineNumber;
+    line = line.replace(/\r$/, '');
+    // keep empty lines so output lines match input lines
+    if(line === '') {
+      return '\n';
+    }
+    try {
+      return transcoder.transcode(line) + '\n';
+    } catch(error) {
+      if(onError) {
+        onError({lineNumber, line, error});
+      }
+      if(errorMode === 'channel') {
+        return '';
+      }
+      return `error: line ${lineNumber}: ${error.message}\n`;
+    }
+  }
+
+  return {
+    transform(chunk) {
+      if(typeof chunk !== 'string') {
+        chunk = textDecoder.decode(chunk, {stream: true});
+      }
+      const lines = (remainder + chunk).split('\n');
+      remainder = lines.pop();
+      return lines.map(transcodeLine).join('');
+    },
+    flush() {
+      const line = remainder + textDecoder.decode();
+      remainder = '';
+      // no final newline
+      return line === '' ? '' : transcodeLine(line);
+    }
+  };
+}
+
+function _throwIfAborted(signal) {
+  if(signal && signal.aborted) {
+    throw signal.reason !== undefined ?
+      signal.reason : new Error('The operation was aborted.');
+  }
+}
+
+/**
+ * Generates an encoded id string from random bits synchronously.
+ *
+ * @param {object} [options] - The options to use. See `IdEncoder` and
+ *   `IdGenerator` for available options.
+ *
+ * @returns {string} - Encoded string id.
+ */
+export function generateIdSync(options) {
+  return new IdEncoder(options)
+    .encode(new IdGenerator(options).generateSync());
+}
+
 /**
  * Decodes an encoded id string to an array of bytes.
  *
@@ -382,11 +1636,186 @@ export function decodeId(options) {
   return new IdDecoder(options).decode(options.id);
 }
 
+/**
+ * Validates an encoded id string without throwing. Invalid options still
+ * throw.
+ *
+ * @param {string} id - Id to validate.
+ * @param {object} [options] - The options to use. See `IdDecoder` for
+ *   available options.
+ *
+ * @returns {{valid: boolean, errors: Array<{code: string, message: string}>,
+ *   bytes: (Uint8Array|undefined)}} - Whether the id is valid, the problems
+ *   found, and the decoded id bytes if valid.
+ */
+export function validateId(id, options) {
+  return new IdDecoder(options).validate(id);
+}
+
+/**
+ * Transcodes an encoded id string to another encoding without losing data.
+ *
+ * @param {object} options - The options to use. See `IdTranscoder` for
+ *   available options.
+ * @param {string} options.id - Id to transcode.
+ *
+ * @returns {string} - Re-encoded id string.
+ */
+export function transcodeId({id, ...options}) {
+  return new IdTranscoder(options).transcode(id);
+}
+
+/**
+ * Generates an encoded content id string by hashing data. The digest is
+ * multihash encoded so the hash function is part of the id.
+ *
+ * @param {object} options - The options to use. See `IdEncoder` for other
+ *   available options.
+ * @param {Uint8Array} options.data - Data to hash.
+ * @param {string} [options.hashFunction='sha2-256'] - Hash function name. One
+ *   of `sha2-256`, `sha2-384`, `sha2-512`, `sha3-256`, `sha3-384`,
+ *   `sha3-512`, or `blake2b-512`. Browsers only support the `sha2` functions.
+ * @param {number} [options.digestSize] - Number of leading digest bytes to
+ *   keep to truncate the digest. Defaults to the full digest size.
+ *
+ * @returns {Promise<string>} - Encoded content id.
+ */
+export async function generateContentId({
+  data,
+  hashFunction = 'sha2-256',
+  digestSize,
+  ...options
+} = {}) {
+  const encoder = new IdEncoder({...options, multihash: true, hashFunction});
+  return encoder.encode(await _digest({data, hashFunction, digestSize}));
+}
+
+/**
+ * Verifies that data matches an encoded content id.
+ *
+ * @param {object} options - The options to use. See `IdDecoder` for other
+ *   available options.
+ * @param {string} options.id - Content id to verify.
+ * @param {Uint8Array} options.data - Data the id should be derived from.
+ * @param {Array<string>} [options.hashFunctions] - Hash function names to
+ *   accept. Defaults to all supported hash functions except `identity`.
+ * @param {number} [options.expectedSize=0] - Expected digest size in bytes.
+ *   Use `0` to disable size check.
+ *
+ * @returns {Promise<boolean>} - `true` if the data matches the id, `false`
+ *   if not. Invalid ids throw an error.
+ */
+export async function verifyContentId({
+  id,
+  data,
+  hashFunctions = CONTENT_HASH_FUNCTIONS,
+  expectedSize = 0,
+  ...options
+} = {}) {
+  const decoder = new IdDecoder(
+    {...options, multihash: true, hashFunctions, expectedSize});
+  return decoder.verify({id, data});
+}
+
+/**
+ * Generates an RFC 9562 version 4 (random) UUID.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.format='canonical'] - UUID format: `canonical`,
+ *   `braced`, or `urn`.
+ *
+ * @returns {Promise<string>} - UUID string.
+ */
+export async function generateUuid({format = 'canonical'} = {}) {
+  const bytes = await new IdGenerator({bitLength: 128}).generate();
+  return uuid.format(uuid.setVersion(bytes, 4), format);
+}
+
+/**
+ * Decodes a canonical, braced, or `urn:uuid:` UUID string to 16 bytes. The
+ * version and variant bits are checked.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.uuid - UUID to decode.
+ * @param {number} [options.version=4] - Required UUID version. Use `0` to
+ *   allow any version.
+ *
+ * @returns {Uint8Array} - 16 UUID bytes.
+ */
+export function decodeUuid({uuid: value, version = 4}) {
+  const bytes = uuid.parse(value);
+  if(!bytes) {
+    throw new Error(`Invalid UUID "${value}".`);
+  }
+  uuid.check(bytes, version);
+  return bytes;
+}
+
+/**
+ * Encodes 16 bytes as a UUID string. The version and variant bits are
+ * checked.
+ *
+ * @param {object} options - The options to use.
+ * @param {Uint8Array} options.bytes - 16 UUID bytes.
+ * @param {string} [options.format='canonical'] - UUID format: `canonical`,
+ *   `braced`, or `urn`.
+ * @param {number} [options.version=4] - Required UUID version. Use `0` to
+ *   allow any version.
+ *
+ * @returns {string} - UUID string.
+ */
+export function encodeUuid({bytes, format = 'canonical', version = 4}) {
+  uuid.check(bytes, version);
+  return uuid.format(bytes, format);
+}
+
+/**
+ * Converts a UUID string to an encoded id string.
+ *
+ * @param {object} options - The options to use. See `IdEncoder` for other
+ *   available options.
+ * @param {string} options.uuid - UUID to convert.
+ * @param {number} [options.version=4] - Required UUID version. Use `0` to
+ *   allow any version.
+ *
+ * @returns {string} - Encoded id string.
+ */
+export function uuidToId({uuid: value, version = 4, ...options}) {
+  return new IdEncoder(options).encode(decodeUuid({uuid: value, version}));
+}
+
+/**
+ * Converts an encoded id string to a UUID string.
+ *
+ * @param {object} options - The options to use. See `IdDecoder` for other
+ *   available options.
+ * @param {string} options.id - Id to convert.
+ * @param {string} [options.format='canonical'] - UUID format: `canonical`,
+ *   `braced`, or `urn`.
+ * @param {number} [options.version=4] - Required UUID version. Use `0` to
+ *   allow any version.
+ * @param {number} [options.fixedBitLength=128] - Fixed decoded bit length.
+ *
+ * @returns {string} - UUID string.
+ */
+export function idToUuid({
+  id,
+  format = 'canonical',
+  version = 4,
+  fixedBitLength = 128,
+  ...options
+}) {
+  const bytes = new IdDecoder({...options, fixedBitLength}).decode(id);
+  return encodeUuid({bytes, format, version});
+}
+
 /**
  * Minimum number of bytes needed to encode an id of a given bit length.
  *
  * @param {object} options - The options to use.
- * @param {string} [options.encoding='base58'] - Encoding format.
+ * @param {string} [options.encoding='base58'] - Name of a registered
+ *   encoding. Ignored if `alphabet` is set.
+ * @param {string} [options.alphabet] - Custom encoding alphabet.
  * @param {number} [options.bitLength=128] - Number of id bits.
  * @param {boolean} [options.multibase=true] - Account for multibase encoding.
  *
@@ -395,22 +1824,10 @@ export function decodeId(options) {
 export function minEncodedIdBytes({
   encoding = 'base58',
   bitLength = 128,
-  multibase = true
+  multibase = true,
+  alphabet
 } = {}) {
-  let plainBytes;
-  switch(encoding) {
-    case 'hex':
-    case 'base16':
-    case 'base16upper':
-      plainBytes = bitLength / 4;
-      break;
-    case 'base58':
-    case 'base58btc':
-      plainBytes = bitLength / 8;
-      break;
-    default:
-      throw new Error(`Unknown encoding type: "${encoding}".`);
-  }
+  const plainBytes = _getEncoding({encoding, alphabet}).minLength({bitLength});
   return plainBytes + (multibase ? 1 : 0);
 }
 
@@ -418,7 +1835,9 @@ export function minEncodedIdBytes({
  * Maximum number of bytes needed to encode an id of a given bit length.
  *
  * @param {object} options - The options to use.
- * @param {string} [options.encoding='base58'] - Encoding format.
+ * @param {string} [options.encoding='base58'] - Name of a registered
+ *   encoding. Ignored if `alphabet` is set.
+ * @param {string} [options.alphabet] - Custom encoding alphabet.
  * @param {number} [options.bitLength=128] - Number of id bits.
  * @param {boolean} [options.multibase=true] - Account for multibase encoding.
  *
@@ -427,25 +1846,34 @@ export function minEncodedIdBytes({
 export function maxEncodedIdBytes({
   encoding = 'base58',
   bitLength = 128,
-  multibase = true
+  multibase = true,
+  alphabet
 } = {}) {
-  let plainBytes;
-  switch(encoding) {
-    case 'hex':
-    case 'base16':
-    case 'base16upper':
-      plainBytes = bitLength / 4;
-      break;
-    case 'base58':
-    case 'base58btc':
-      plainBytes = Math.ceil(bitLength / Math.log2(58));
-      break;
-    default:
-      throw new Error(`Unknown encoding type: "${encoding}".`);
-  }
+  const plainBytes = _getEncoding({encoding, alphabet}).maxLength({bitLength});
   return plainBytes + (multibase ? 1 : 0);
 }
 
+/**
+ * Creates a deterministic random source for `IdGenerator` from a seed. The
+ * same seed always produces the same bytes, which is useful for reproducible
+ * ids in tests. The bytes are NOT secret and MUST NOT be used for secrets
+ * or ids that must be unguessable. Uses the ChaCha20 keystream.
+ *
+ * @param {object} options - The options to use.
+ * @param {Uint8Array} options.seed - 32 byte seed.
+ *
+ * @returns {Function} - Random source function.
+ */
+export function createSeededRandomSource({seed} = {}) {
+  if(!(seed instanceof Uint8Array && seed.length === 32)) {
+    throw new TypeError('"seed" must be a 32 byte Uint8Array.');
+  }
+  const chacha20 = new ChaCha20({key: seed});
+  return function seededRandomSource(buf) {
+    return chacha20.fill(buf);
+  };
+}
+
 /**
  * Generates a secret key seed encoded as a string that can be stored and later
  * used to generate a key pair. The public key from the key pair can be used as
@@ -456,6 +1884,8 @@ export function maxEncodedIdBytes({
  * @param {number} [options.bitLength=32 * 8] - Number of bits to generate.
  * @param {boolean} [options.multibase=true] - Use multibase encoding.
  * @param {boolean} [options.multihash=true] - Use multihash encoding.
+ * @param {Function} [options.randomSource] - Not allowed. Key seeds are always
+ *   generated with a secure random source and passing a random source throws.
 
  * @returns {string} - Secret key seed encoded as a string.
  */
@@ -463,8 +1893,10 @@ export async function generateSecretKeySeed({
   bitLength = 32 * 8,
   encoding = 'base58',
   multibase = true,
-  multihash = true
+  multihash = true,
+  randomSource
 } = {}) {
+  _checkSecretKeySeedRandomSource({randomSource});
   // reuse `generateId` for convenience, but a key seed is *SECRET* and
   // not an identifier itself, rather it is used to generate an identifier via
   // a public key
@@ -475,6 +1907,42 @@ export async function generateSecretKeySeed({
     {bitLength, encoding, fixedLength: false, multibase, multihash});
 }
 
+/**
+ * Generates a secret key seed encoded as a string synchronously. See
+ * `generateSecretKeySeed()`. The key seed (both raw and encoded form) MUST be
+ * kept secret.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.encoding='base58'] - Encoding format.
+ * @param {number} [options.bitLength=32 * 8] - Number of bits to generate.
+ * @param {boolean} [options.multibase=true] - Use multibase encoding.
+ * @param {boolean} [options.multihash=true] - Use multihash encoding.
+ * @param {Function} [options.randomSource] - Not allowed. Key seeds are always
+ *   generated with a secure random source and passing a random source throws.
+ *
+ * @returns {string} - Secret key seed encoded as a string.
+ */
+export function generateSecretKeySeedSync({
+  bitLength = 32 * 8,
+  encoding = 'base58',
+  multibase = true,
+  multihash = true,
+  randomSource
+} = {}) {
+  _checkSecretKeySeedRandomSource({randomSource});
+  // see `generateSecretKeySeed` for why fixedLength is false
+  return generateIdSync(
+    {bitLength, encoding, fixedLength: false, multibase, multihash});
+}
+
+// key seeds always use the secure random source
+function _checkSecretKeySeedRandomSource({randomSource}) {
+  if(randomSource !== undefined) {
+    throw new Error(
+      'Secret key seeds must be generated with a secure random source.');
+  }
+}
+
 /**
  * Decodes an encoded secret key seed into an array of secret key seed bytes.
  * The key seed bytes MUST be kept secret.
@@ -0,0 +1,99 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as varint from './varint.js';
+
+// multihash identity function code
+export const IDENTITY_FUNCTION_CODE = 0x00;
+
+// maximum multihash header size in bytes (function code and digest size)
+export const MAX_HEADER_SIZE = 2 * varint.MAX_LENGTH;
+
+// supported hash functions: name => {code, size (full digest size in bytes)}
+const _hashFunctions = new Map([
+  ['identity', {code: IDENTITY_FUNCTION_CODE}],
+  ['sha2-256', {code: 0x12, size: 32}],
+  ['sha2-384', {code: 0x20, size: 48}],
+  ['sha2-512', {code: 0x13, size: 64}],
+  ['sha3-256', {code: 0x16, size: 32}],
+  ['sha3-384', {code: 0x15, size: 48}],
+  ['sha3-512', {code: 0x14, size: 64}],
+  ['blake2b-512', {code: 0xb240, size: 64}]
+]);
+const _hashFunctionsByCode = new Map();
+for(const [name, {code, size}] of _hashFunctions) {
+  _hashFunctionsByCode.set(code, {name, code, size});
+}
+
+/**
+ * Gets a supported hash function by name.
+ *
+ * @param {string} name - The hash function name, such as `sha2-256`.
+ *
+ * @returns {{name: string, code: number, size: number}|undefined} The hash
+ *   function name, code, and full digest size in bytes (`undefined` for
+ *   `identity`) or `undefined` if not supported.
+ */
+export function getHashFunction(name) {
+  const hashFunction = _hashFunctions.get(name);
+  if(hashFunction) {
+    return {name, ...hashFunction};
+  }
+}
+
+/**
+ * Gets a supported hash function by multihash function code.
+ *
+ * @param {number} code - The hash function code.
+ *
+ * @returns {{name: string, code: number, size: number}|undefined} The hash
+ *   function or `undefined` if not supported.
+ */
+export function getHashFunctionByCode(code) {
+  const hashFunction = _hashFunctionsByCode.get(code);
+  if(hashFunction) {
+    return {...hashFunction};
+  }
+}
+
+/**
+ * Encodes a digest as a multihash.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.code - The hash function code.
+ * @param {Uint8Array} options.digest - The digest bytes.
+ *
+ * @returns {Uint8Array} The multihash bytes.
+ */
+export function encode({code, digest}) {
+  // <varint hash fn code> <varint digest size in bytes> <hash fn output>
+  const codeBytes = varint.encode(code);
+  const sizeBytes = varint.encode(digest.length);
+  const multihash = new Uint8Array(
+    codeBytes.length + sizeBytes.length + digest.length);
+  multihash.set(codeBytes);
+  multihash.set(sizeBytes, codeBytes.length);
+  multihash.set(digest, codeBytes.length + sizeBytes.length);
+  return multihash;
+}
+
+/**
+ * Decodes a multihash. The digest size must match the remaining bytes.
+ *
+ * @param {Uint8Array} bytes - The multihash bytes.
+ *
+ * @returns {{code: number, digest: Uint8Array}} The hash function code and
+ *   digest bytes.
+ */
+export function decode(bytes) {
+  // <varint hash fn code>
+  const {value: code, length: codeLength} = varint.decode(bytes);
+  // <varint digest size in bytes>
+  const {value: size, length: sizeLength} = varint.decode(bytes, codeLength);
+  // <hash fn output>
+  const digest = bytes.subarray(codeLength + sizeLength);
+  if(digest.length !== size) {
+    throw new RangeError('Unexpected identifier size.');
+  }
+  return {code, digest};
+}
@@ -1,7 +1,39 @@
 // browser support
 /* eslint-env browser */
+import {sha256 as _sha256} from '@noble/hashes/sha2';
+
+// multihash hash function name => WebCrypto digest algorithm
+// Note: WebCrypto does not support sha3 or blake2b
+const HASH_ALGORITHMS = new Map([
+  ['sha2-256', 'SHA-256'],
+  ['sha2-384', 'SHA-384'],
+  ['sha2-512', 'SHA-512']
+]);
+
 export async function getRandomBytes(buf) {
-  return globalThis.crypto.getRandomValues(buf);
+  return getRandomBytesSync(buf);
+}
+
+export function getRandomBytesSync(buf) {
+  // `getRandomValues` fills at most 65536 bytes per call
+  for(let i = 0; i < buf.length; i += 65536) {
+    globalThis.crypto.getRandomValues(buf.subarray(i, i + 65536));
+  }
+  return buf;
+}
+
+export async function digest({name, bytes}) {
+  const algorithm = HASH_ALGORITHMS.get(name);
+  if(!algorithm) {
+    throw new Error(`Hash function "${name}" is not supported.`);
+  }
+  return new Uint8Array(
+    await globalThis.crypto.subtle.digest(algorithm, bytes));
+}
+
+// WebCrypto digests are async, a sync SHA-256 is needed for encodings
+export function sha256(bytes) {
+  return _sha256(bytes);
 }
 
 export function bytesToHex(bytes) {
@@ -17,3 +49,69 @@ export function bytesFromHex(hex) {
   }
   return new Uint8Array(hex.match(/[\da-f]{2}/gi).map(h => parseInt(h, 16)));
 }
+
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for(const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  // unpadded
+  return btoa(binary).replace(/=+$/, '');
+}
+
+export function bytesFromBase64(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+export function bytesToBase64url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+export function bytesFromBase64url(base64url) {
+  return bytesFromBase64(base64url.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+export function createReadableStream(iterable) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  return new ReadableStream({
+    // only called when the stream wants more data
+    async pull(controller) {
+      const {value, done} = await iterator.next();
+      if(done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    async cancel() {
+      if(iterator.return) {
+        await iterator.return();
+      }
+    }
+  }, {highWaterMark: 1});
+}
+
+export function createNodeReadable() {
+  throw new Error('Node.js streams are not supported in the browser.');
+}
+
+export function createTransformStream({transform, flush}) {
+  return new TransformStream({
+    transform(chunk, controller) {
+      const output = transform(chunk);
+      if(output) {
+        controller.enqueue(output);
+      }
+    },
+    flush(controller) {
+      const output = flush();
+      if(output) {
+        controller.enqueue(output);
+      }
+    }
+  });
+}
+
+export function createNodeTransform() {
+  throw new Error('Node.js streams are not supported in the browser.');
+}
@@ -1,13 +1,48 @@
 // Node.js support
 import * as crypto from 'node:crypto';
+import {createRequire} from 'node:module';
 import {promisify} from 'node:util';
+import {Readable, Transform} from 'node:stream';
 
 const randomFill = promisify(crypto.randomFill);
+const require = createRequire(import.meta.url);
+
+// WHATWG streams module, loaded on first use
+let _webStreams;
+
+// multihash hash function name => node hash algorithm
+const HASH_ALGORITHMS = new Map([
+  ['sha2-256', 'sha256'],
+  ['sha2-384', 'sha384'],
+  ['sha2-512', 'sha512'],
+  ['sha3-256', 'sha3-256'],
+  ['sha3-384', 'sha3-384'],
+  ['sha3-512', 'sha3-512'],
+  ['blake2b-512', 'blake2b512']
+]);
 
 export async function getRandomBytes(buf) {
   return randomFill(buf);
 }
 
+export function getRandomBytesSync(buf) {
+  return crypto.randomFillSync(buf);
+}
+
+export async function digest({name, bytes}) {
+  const algorithm = HASH_ALGORITHMS.get(name);
+  if(!algorithm) {
+    throw new Error(`Hash function "${name}" is not supported.`);
+  }
+  const hash = crypto.createHash(algorithm).update(bytes).digest();
+  return new Uint8Array(hash.buffer, hash.byteOffset, hash.byteLength);
+}
+
+export function sha256(bytes) {
+  const hash = crypto.createHash('sha256').update(bytes).digest();
+  return new Uint8Array(hash.buffer, hash.byteOffset, hash.byteLength);
+}
+
 export function bytesToHex(bytes) {
   return Buffer.from(bytes).toString('hex');
 }
@@ -15,3 +50,104 @@ export function bytesToHex(bytes) {
 export function bytesFromHex(hex) {
   return Buffer.from(hex, 'hex');
 }
+
+export function bytesToBase64(bytes) {
+  // unpadded
+  return Buffer.from(bytes).toString('base64').replace(/=+$/, '');
+}
+
+export function bytesFromBase64(base64) {
+  return Buffer.from(base64, 'base64');
+}
+
+export function bytesToBase64url(bytes) {
+  // unpadded
+  return Buffer.from(bytes).toString('base64url');
+}
+
+export function bytesFromBase64url(base64url) {
+  return Buffer.from(base64url, 'base64url');
+}
+
+export function createReadableStream(iterable) {
+  const {ReadableStream} = _getWebStreams();
+  if(!ReadableStream) {
+    throw new Error('ReadableStream is not supported.');
+  }
+  const iterator = iterable[Symbol.asyncIterator]();
+  return new ReadableStream({
+    // only called when the stream wants more data
+    async pull(controller) {
+      const {value, done} = await iterator.next();
+      if(done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    async cancel() {
+      if(iterator.return) {
+        await iterator.return();
+      }
+    }
+  }, {highWaterMark: 1});
+}
+
+export function createNodeReadable(iterable) {
+  // object mode, only pulls from the iterable when the consumer is ready
+  return Readable.from(iterable);
+}
+
+export function createTransformStream({transform, flush}) {
+  const {TransformStream} = _getWebStreams();
+  if(!TransformStream) {
+    throw new Error('TransformStream is not supported.');
+  }
+  return new TransformStream({
+    transform(chunk, controller) {
+      const output = transform(chunk);
+      if(output) {
+        controller.enqueue(output);
+      }
+    },
+    flush(controller) {
+      const output = flush();
+      if(output) {
+        controller.enqueue(output);
+      }
+    }
+  });
+}
+
+export function createNodeTransform({transform, flush}) {
+  return new Transform({
+    decodeStrings: false,
+    encoding: 'utf8',
+    transform(chunk, encoding, callback) {
+      try {
+        callback(null, transform(chunk) || undefined);
+      } catch(e) {
+        callback(e);
+      }
+    },
+    flush(callback) {
+      try {
+        callback(null, flush() || undefined);
+      } catch(e) {
+        callback(e);
+      }
+    }
+  });
+}
+
+// `stream/web` is available in Node.js >= 16.5
+function _getWebStreams() {
+  if(!_webStreams) {
+    try {
+      _webStreams = require('node:stream/web');
+    } catch(e) {
+      _webStreams = {};
+    }
+  }
+  return _webStreams;
+}
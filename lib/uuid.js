@@ -0,0 +1,101 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {bytesFromHex, bytesToHex} from './util.js';
+
+// RFC 9562 UUID size in bytes
+export const SIZE = 16;
+
+// canonical 8-4-4-4-12 hex form
+const CANONICAL_REGEX =
+  /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i;
+
+/**
+ * Sets the version and RFC 9562 variant bits of UUID bytes in place.
+ *
+ * @param {Uint8Array} bytes - The 16 UUID bytes.
+ * @param {number} version - The UUID version.
+ *
+ * @returns {Uint8Array} The UUID bytes.
+ */
+export function setVersion(bytes, version) {
+  bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  return bytes;
+}
+
+/**
+ * Checks the version and variant bits of UUID bytes. The Nil and Max UUIDs
+ * have no version or variant and are allowed with version `0`.
+ *
+ * @param {Uint8Array} bytes - The 16 UUID bytes.
+ * @param {number} version - The required UUID version or `0` to allow any
+ *   version.
+ */
+export function check(bytes, version) {
+  if(bytes.length !== SIZE) {
+    throw new RangeError(`UUID must be ${SIZE} bytes.`);
+  }
+  if(!version && (bytes.every(b => b === 0) || bytes.every(b => b === 0xff))) {
+    return;
+  }
+  // RFC 9562 variant is `10` in the high bits of byte 8
+  if((bytes[8] & 0xc0) !== 0x80) {
+    throw new Error('Invalid UUID variant.');
+  }
+  const found = bytes[6] >> 4;
+  if(version ? found !== version : !(found >= 1 && found <= 8)) {
+    throw new Error(
+      `Invalid UUID version "${found}".` +
+      (version ? ` Version must be "${version}".` : ''));
+  }
+}
+
+/**
+ * Formats UUID bytes as a string.
+ *
+ * @param {Uint8Array} bytes - The 16 UUID bytes.
+ * @param {string} [format='canonical'] - The format: `canonical`, `braced`,
+ *   or `urn`.
+ *
+ * @returns {string} The UUID string.
+ */
+export function format(bytes, format = 'canonical') {
+  const hex = bytesToHex(bytes);
+  const uuid = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-` +
+    `${hex.slice(16, 20)}-${hex.slice(20)}`;
+  if(format === 'canonical') {
+    return uuid;
+  }
+  if(format === 'braced') {
+    return `{${uuid}}`;
+  }
+  if(format === 'urn') {
+    return `urn:uuid:${uuid}`;
+  }
+  throw new Error(`Unknown UUID format "${format}".`);
+}
+
+/**
+ * Parses a canonical, braced, or `urn:uuid:` UUID string.
+ *
+ * @param {string} uuid - The UUID string.
+ *
+ * @returns {Uint8Array|undefined} The 16 UUID bytes or `undefined` if the
+ *   string is not a UUID.
+ */
+export function parse(uuid) {
+  if(typeof uuid !== 'string') {
+    throw new TypeError('"uuid" must be a string.');
+  }
+  let value = uuid;
+  if(/^urn:uuid:/i.test(value)) {
+    value = value.slice('urn:uuid:'.length);
+  } else if(value.startsWith('{') && value.endsWith('}')) {
+    value = value.slice(1, -1);
+  }
+  if(!CANONICAL_REGEX.test(value)) {
+    return;
+  }
+  return new Uint8Array(bytesFromHex(value.replace(/-/g, '')));
+}
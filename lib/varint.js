@@ -0,0 +1,81 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// multiformats unsigned-varint: https://github.com/multiformats/unsigned-varint
+
+// maximum number of bytes in a varint
+export const MAX_LENGTH = 9;
+
+/**
+ * Gets the number of bytes needed to encode a value as an unsigned varint.
+ *
+ * @param {number} value - The value to encode.
+ *
+ * @returns {number} The number of bytes.
+ */
+export function encodingLength(value) {
+  _checkValue(value);
+  let length = 1;
+  while(value >= 0x80) {
+    value = Math.floor(value / 0x80);
+    ++length;
+  }
+  return length;
+}
+
+/**
+ * Encodes a value as an unsigned varint.
+ *
+ * @param {number} value - The value to encode, a non-negative safe integer.
+ *
+ * @returns {Uint8Array} The encoded bytes.
+ */
+export function encode(value) {
+  const bytes = new Uint8Array(encodingLength(value));
+  for(let i = 0; i < bytes.length - 1; ++i) {
+    bytes[i] = (value % 0x80) | 0x80;
+    value = Math.floor(value / 0x80);
+  }
+  bytes[bytes.length - 1] = value;
+  return bytes;
+}
+
+/**
+ * Decodes an unsigned varint. Truncated and non-minimal encodings are
+ * rejected.
+ *
+ * @param {Uint8Array} bytes - The bytes to decode from.
+ * @param {number} [offset=0] - The offset of the varint in the bytes.
+ *
+ * @returns {{value: number, length: number}} The decoded value and the number
+ *   of bytes it used.
+ */
+export function decode(bytes, offset = 0) {
+  let value = 0;
+  let scale = 1;
+  for(let length = 1; length <= MAX_LENGTH; ++length) {
+    if(offset + length > bytes.length) {
+      throw new Error('Truncated varint.');
+    }
+    const byte = bytes[offset + length - 1];
+    value += (byte & 0x7f) * scale;
+    if(byte < 0x80) {
+      if(byte === 0 && length > 1) {
+        throw new Error('Varint is not minimally encoded.');
+      }
+      if(!Number.isSafeInteger(value)) {
+        throw new RangeError('Varint value too large.');
+      }
+      return {value, length};
+    }
+    scale *= 0x80;
+  }
+  throw new RangeError(`Varint longer than ${MAX_LENGTH} bytes.`);
+}
+
+function _checkValue(value) {
+  if(!(Number.isSafeInteger(value) && value >= 0)) {
+    throw new RangeError(
+      'Varint value must be a non-negative safe integer.');
+  }
+}
@@ -6,12 +6,13 @@ import Benchmark from 'benchmark';
 const suite = new Benchmark.Suite();
 
 import {
-  IdGenerator, IdEncoder, IdDecoder, generateId, decodeId
+  IdGenerator, IdEncoder, IdDecoder, generateId, generateIds, decodeId
 } from '../lib/index.js';
 import crypto from 'node:crypto';
 
 // shared state
 const generator = new IdGenerator();
+const pooledGenerator = new IdGenerator({poolSize: 4096});
 const encoder = new IdEncoder();
 const decoder = new IdDecoder();
 
@@ -67,6 +68,32 @@ suite
       deferred.resolve();
     }
   })
+  .add('IdGenerator pooled 128b', {
+    defer: true,
+    fn: async deferred => {
+      await pooledGenerator.generate();
+      deferred.resolve();
+    }
+  })
+  .add('IdGenerator pooled sync 128b', {
+    fn: () => {
+      pooledGenerator.generateSync();
+    }
+  })
+  .add('IdGenerator batch 1000 x 128b', {
+    defer: true,
+    fn: async deferred => {
+      await generator.generateBatch(1000);
+      deferred.resolve();
+    }
+  })
+  .add('generateIds base58 1000 x 128b fixed', {
+    defer: true,
+    fn: async deferred => {
+      await generateIds({count: 1000, bitLength: 128, fixedLength: true});
+      deferred.resolve();
+    }
+  })
   .add('IdEncoder shared, static data', {
     fn: () => {
       encoder.encode(idBytes1);
@@ -12,12 +12,40 @@ const should = chai.should();
 import {
   IdEncoder,
   IdDecoder,
+  IdTranscoder,
   IdGenerator,
+  createSeededRandomSource,
+  TimeOrderedIdGenerator,
+  getIdTimestamp,
+  SnowflakeIdGenerator,
+  decodeSnowflakeId,
+  ChecksumError,
+  createBaseNEncoding,
+  getEncoding,
+  getEncodingByMultibasePrefix,
+  registerEncoding,
   generateId,
+  generateIdSync,
+  generateIds,
+  iterateIds,
+  createIdReadableStream,
+  createIdReadable,
+  createIdTranscodeStream,
+  createIdTranscodeTransform,
   decodeId,
+  transcodeId,
+  validateId,
+  generateContentId,
+  verifyContentId,
+  generateUuid,
+  decodeUuid,
+  encodeUuid,
+  uuidToId,
+  idToUuid,
   minEncodedIdBytes,
   maxEncodedIdBytes,
   generateSecretKeySeed,
+  generateSecretKeySeedSync,
   decodeSecretKeySeed,
 } from '../lib/index.js';
 
@@ -46,6 +74,36 @@ describe('bnid', () => {
           ['base58', 'base58btc'],
           [1, 2, 4, 8, 16, 32],
           [2, 3, 6, 11, 22, 44]
+        ],
+        [
+          ['base32', 'base32upper', 'base32hex', 'base32hexupper'],
+          [2, 4, 7, 13, 26, 52],
+          [2, 4, 7, 13, 26, 52]
+        ],
+        [
+          ['base32pad', 'base32padupper', 'base32hexpad', 'base32hexpadupper'],
+          [8, 8, 8, 16, 32, 56],
+          [8, 8, 8, 16, 32, 56]
+        ],
+        [
+          ['base36', 'base36upper'],
+          [1, 2, 4, 8, 16, 32],
+          [2, 4, 7, 13, 25, 50]
+        ],
+        [
+          ['crockford32'],
+          [1, 2, 4, 8, 16, 32],
+          [2, 4, 7, 13, 26, 52]
+        ],
+        [
+          ['base64', 'base64url'],
+          [2, 3, 6, 11, 22, 43],
+          [2, 3, 6, 11, 22, 43]
+        ],
+        [
+          ['base64pad', 'base64urlpad'],
+          [4, 4, 8, 12, 24, 44],
+          [4, 4, 8, 12, 24, 44]
         ]
       ];
       function t({name, f, encoding, bitLength, multibase, expected}) {
@@ -78,6 +136,28 @@ describe('bnid', () => {
         }
       }
     });
+    it('should calculate min/max of non-byte-aligned encoded bytes',
+      async () => {
+        minEncodedIdBytes({encoding: 'base16', bitLength: 50})
+          .should.equal(15);
+        maxEncodedIdBytes({encoding: 'base16', bitLength: 50})
+          .should.equal(15);
+        minEncodedIdBytes({encoding: 'base58', bitLength: 50})
+          .should.equal(8);
+        maxEncodedIdBytes({encoding: 'base58', bitLength: 50})
+          .should.equal(10);
+      });
+    it('should calculate min/max of custom alphabet encoded bytes',
+      async () => {
+        const alphabet =
+          '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+        minEncodedIdBytes({alphabet, multibase: false}).should.equal(16);
+        maxEncodedIdBytes({alphabet, multibase: false}).should.equal(22);
+        minEncodedIdBytes({alphabet: '01', bitLength: 8, multibase: false})
+          .should.equal(1);
+        maxEncodedIdBytes({alphabet: '01', bitLength: 8, multibase: false})
+          .should.equal(8);
+      });
     it('should reject unknown min encoding', async () => {
       expect(() => {
         minEncodedIdBytes({
@@ -124,15 +204,344 @@ describe('bnid', () => {
         });
       }).throws();
     });
-    it('should not generate odd bits id', async () => {
+    it('should generate non-byte-aligned bits id', async () => {
+      const data = [
+        [1, 1],
+        [10, 2],
+        [50, 7],
+        [122, 16]
+      ];
+      for(const [bitLength, byteLength] of data) {
+        const d = new IdGenerator({bitLength});
+        for(let i = 0; i < 16; ++i) {
+          const id = await d.generate();
+          id.should.be.instanceof(Uint8Array);
+          id.length.should.equal(byteLength);
+          // unused high bits are zero
+          (id[0] >> (8 - (byteLength * 8 - bitLength))).should.equal(0);
+        }
+      }
+    });
+    it('should generate id with custom max bit length', async () => {
+      const d = new IdGenerator({
+        bitLength: 8192,
+        maxBitLength: 8192
+      });
+      const id = await d.generate();
+      id.length.should.equal(1024);
+    });
+    it('should not generate id larger than max bit length', async () => {
       expect(() => {
         new IdGenerator({
-          bitLength: 10
+          bitLength: 4097
         });
-      }).throws();
+      }).throws('Maximum bit length is 4096.');
+      expect(() => {
+        new IdGenerator({
+          bitLength: 128,
+          maxBitLength: 64
+        });
+      }).throws('Maximum bit length is 64.');
+    });
+    it('should not generate non-integer bits id', async () => {
+      expect(() => {
+        new IdGenerator({
+          bitLength: 10.5
+        });
+      }).throws(TypeError);
+    });
+    it('should generate id with custom random source', async () => {
+      const randomSource = buf => buf.fill(0xff);
+      const d = new IdGenerator({bitLength: 12, randomSource});
+      const id = await d.generate();
+      id.should.equalBytes('0fff');
+    });
+    it('should generate id with async random source', async () => {
+      const randomSource = async buf => buf.fill(0xab);
+      const d = new IdGenerator({randomSource});
+      const id = await d.generate();
+      id.should.equalBytes('ab'.repeat(16));
+    });
+    it('should not create IdGenerator with invalid random source',
+      async () => {
+        expect(() => new IdGenerator({randomSource: new Uint8Array(16)}))
+          .to.throw('"randomSource" must be a function.');
+      });
+    it('should generate reproducible ids with seeded source', async () => {
+      const seed = new Uint8Array(32);
+      const d1 = new IdGenerator(
+        {randomSource: createSeededRandomSource({seed})});
+      const d2 = new IdGenerator(
+        {randomSource: createSeededRandomSource({seed})});
+      // ChaCha20 keystream for a zero key and nonce (RFC 8439 A.1)
+      (await d1.generate()).should.equalBytes(
+        '76b8e0ada0f13d90405d6ae55386bd28');
+      (await d1.generate()).should.equalBytes(
+        'bdd219b8a08ded1aa836efcc8b770dc7');
+      for(let i = 0; i < 2; ++i) {
+        await d2.generate();
+      }
+      (await d1.generate()).should.eql(await d2.generate());
+      const seed2 = new Uint8Array(32).fill(1);
+      const d3 = new IdGenerator(
+        {randomSource: createSeededRandomSource({seed: seed2})});
+      (await d3.generate()).should.not.eql(
+        await new IdGenerator(
+          {randomSource: createSeededRandomSource({seed})}).generate());
+    });
+    it('should generate id synchronously', async () => {
+      const d = new IdGenerator({bitLength: 50});
+      const id = d.generateSync();
+      id.should.be.instanceof(Uint8Array);
+      id.length.should.equal(7);
+      (id[0] >> 2).should.equal(0);
+    });
+    it('should generate id synchronously with seeded source', async () => {
+      const seed = new Uint8Array(32);
+      const d1 = new IdGenerator(
+        {randomSource: createSeededRandomSource({seed})});
+      const d2 = new IdGenerator(
+        {randomSource: createSeededRandomSource({seed})});
+      d1.generateSync().should.eql(await d2.generate());
+    });
+    it('should not generate id synchronously with async source', async () => {
+      const d = new IdGenerator({randomSource: async buf => buf});
+      expect(() => d.generateSync()).to.throw(
+        '"randomSource" must be synchronous to generate synchronously.');
+    });
+    it('should generate batch of ids from one fill', async () => {
+      const fills = [];
+      const randomSource = buf => {
+        fills.push(buf);
+        return buf.fill(0xff);
+      };
+      const d = new IdGenerator({bitLength: 12, randomSource});
+      const ids = await d.generateBatch(3);
+      ids.length.should.equal(3);
+      for(const id of ids) {
+        id.should.equalBytes('0fff');
+      }
+      fills.length.should.equal(1);
+      fills[0].length.should.equal(6);
+      // filled buffer is wiped
+      fills[0].should.equalBytes('000000000000');
+      (await d.generateBatch(0)).should.eql([]);
+      let err;
+      try {
+        await d.generateBatch(-1);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(TypeError);
+    });
+    it('should generate ids from entropy pool', async () => {
+      const fills = [];
+      let next = 0;
+      const randomSource = buf => {
+        fills.push(buf);
+        for(let i = 0; i < buf.length; ++i) {
+          buf[i] = next++;
+        }
+        return buf;
+      };
+      const d = new IdGenerator({bitLength: 16, poolSize: 5, randomSource});
+      (await d.generate()).should.equalBytes('0001');
+      (await d.generate()).should.equalBytes('0203');
+      // used pool bytes are wiped
+      fills[0].should.equalBytes('0000000004');
+      // not enough bytes left, pool is wiped and refilled
+      d.generateSync().should.equalBytes('0506');
+      fills.length.should.equal(2);
+      fills[0].should.equalBytes('0000000000');
+      d.clearPool();
+      fills[1].should.equalBytes('0000000000');
+      (await d.generate()).should.equalBytes('0a0b');
+    });
+    it('should generate unique ids concurrently from pool', async () => {
+      const d = new IdGenerator({poolSize: 64});
+      const ids = await Promise.all(
+        Array.from({length: 50}, () => d.generate()));
+      const unique = new Set(ids.map(id => id.join()));
+      unique.size.should.equal(50);
+    });
+    it('should not create IdGenerator with invalid pool size', async () => {
+      expect(() => new IdGenerator({poolSize: 8}))
+        .to.throw('"poolSize" must be 0 or an integer of at least 16.');
+      expect(() => new IdGenerator({poolSize: 16.5})).to.throw(RangeError);
+    });
+    it('should not create seeded source with invalid seed', async () => {
+      expect(() => createSeededRandomSource({seed: new Uint8Array(16)}))
+        .to.throw('"seed" must be a 32 byte Uint8Array.');
+      expect(() => createSeededRandomSource())
+        .to.throw('"seed" must be a 32 byte Uint8Array.');
     });
   });
 
+  describe('TimeOrderedIdGenerator', () => {
+    it('should generate 128 bit ids with timestamp', async () => {
+      const generator = new TimeOrderedIdGenerator({now: () => 1700000000000});
+      const bytes = await generator.generate();
+      bytes.length.should.equal(16);
+      getIdTimestamp({bytes}).should.equal(1700000000000);
+      // 48 bit big-endian timestamp
+      bytes.subarray(0, 6).should.equalBytes('018bcfe56800');
+    });
+    it('should generate non-byte-aligned ids', async () => {
+      const generator = new TimeOrderedIdGenerator(
+        {bitLength: 70, timestampBitLength: 42, now: () => 1234567});
+      const bytes = await generator.generate();
+      bytes.length.should.equal(9);
+      (bytes[0] & 0xc0).should.equal(0);
+      getIdTimestamp({bytes, bitLength: 70, timestampBitLength: 42})
+        .should.equal(1234567);
+    });
+    it('should increase monotonically in the same millisecond', async () => {
+      const generator = new TimeOrderedIdGenerator({now: () => 1000});
+      const encoder = new IdEncoder({encoding: 'base16'});
+      let last = encoder.encode(await generator.generate());
+      for(let i = 0; i < 100; ++i) {
+        const id = encoder.encode(await generator.generate());
+        (id > last).should.equal(true);
+        last = id;
+      }
+    });
+    it('should increase monotonically if clock moves backwards', async () => {
+      let time = 5000;
+      const generator = new TimeOrderedIdGenerator({now: () => time});
+      const first = await generator.generate();
+      time = 4000;
+      const second = await generator.generate();
+      getIdTimestamp({bytes: second}).should.equal(5000);
+      const decoder = new IdDecoder({encoding: 'base16', multibase: false});
+      const encoder = new IdEncoder({encoding: 'base16', multibase: false});
+      (encoder.encode(second) > encoder.encode(first)).should.equal(true);
+      decoder.decode(encoder.encode(second)).should.eql(second);
+    });
+    it('should move to next millisecond on random overflow', async () => {
+      const generator = new TimeOrderedIdGenerator(
+        {bitLength: 50, timestampBitLength: 48, now: () => 1000});
+      const timestamps = [];
+      for(let i = 0; i < 8; ++i) {
+        const bytes = await generator.generate();
+        timestamps.push(
+          getIdTimestamp({bytes, bitLength: 50, timestampBitLength: 48}));
+      }
+      // 2 random bits allow at most 4 ids per millisecond
+      timestamps[timestamps.length - 1].should.be.above(1000);
+      timestamps.should.eql([...timestamps].sort((a, b) => a - b));
+    });
+    it('should sort fixed length encoded ids', async () => {
+      let time = 0;
+      const generator = new TimeOrderedIdGenerator(
+        {now: () => Math.floor(time++ / 3)});
+      for(const encoding of ['base58', 'base16']) {
+        const encoder = new IdEncoder({encoding, fixedLength: true});
+        const ids = [];
+        for(let i = 0; i < 50; ++i) {
+          ids.push(encoder.encode(await generator.generate()));
+        }
+        ids.should.eql([...ids].sort());
+      }
+    });
+    it('should not generate with too large timestamp', async () => {
+      const generator = new TimeOrderedIdGenerator(
+        {timestampBitLength: 8, now: () => 256});
+      let err;
+      try {
+        await generator.generate();
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Timestamp does not fit in 8 bits.');
+    });
+    it('should not create generator without random bits', async () => {
+      expect(() => new TimeOrderedIdGenerator(
+        {bitLength: 48, timestampBitLength: 48}))
+        .to.throw('Maximum bit length is 47.');
+    });
+  });
+  describe('SnowflakeIdGenerator', () => {
+    const epoch = 1288834974657;
+    it('should generate 64 bit snowflake ids', async () => {
+      const generator = new SnowflakeIdGenerator(
+        {workerId: 5, epoch, now: () => epoch + 1000});
+      const bytes = await generator.generate();
+      bytes.length.should.equal(8);
+      // 1000 << 22 | 5 << 12 | 0
+      bytes.should.equalBytes('00000000fa005000');
+      decodeSnowflakeId({bytes, epoch}).should.eql(
+        {timestamp: epoch + 1000, workerId: 5, sequence: 0});
+    });
+    it('should generate snowflake ids with custom layout', async () => {
+      const options = {
+        epoch,
+        timestampBitLength: 40,
+        workerBitLength: 16,
+        sequenceBitLength: 8
+      };
+      const generator = new SnowflakeIdGenerator(
+        {...options, workerId: 0xabcd, now: () => epoch + 123456});
+      await generator.generate();
+      const bytes = await generator.generate();
+      decodeSnowflakeId({bytes, ...options}).should.eql(
+        {timestamp: epoch + 123456, workerId: 0xabcd, sequence: 1});
+    });
+    it('should round trip through IdEncoder and IdDecoder', async () => {
+      const generator = new SnowflakeIdGenerator({workerId: 1023});
+      const bytes = await generator.generate();
+      const id = new IdEncoder({fixedLength: true}).encode(bytes);
+      const decoded = new IdDecoder({fixedBitLength: 63}).decode(id);
+      decoded.should.eql(bytes);
+      decodeSnowflakeId({bytes: decoded}).workerId.should.equal(1023);
+    });
+    it('should wait for next tick on sequence overflow', async () => {
+      let calls = 0;
+      const generator = new SnowflakeIdGenerator({
+        workerId: 1,
+        sequenceBitLength: 1,
+        // advance the clock every 4 reads
+        now: () => Math.floor(calls++ / 4)
+      });
+      const results = await Promise.all([1, 2, 3, 4, 5].map(
+        async () => decodeSnowflakeId(
+          {bytes: await generator.generate(), sequenceBitLength: 1})));
+      const ids = results.map(({timestamp, sequence}) => [timestamp, sequence]);
+      ids.should.eql([[0, 0], [0, 1], [1, 0], [1, 1], [2, 0]]);
+    });
+    it('should reuse last timestamp if clock moves backwards', async () => {
+      let time = 100;
+      const generator = new SnowflakeIdGenerator(
+        {workerId: 1, now: () => time});
+      await generator.generate();
+      time = 50;
+      const bytes = await generator.generate();
+      decodeSnowflakeId({bytes}).should.eql(
+        {timestamp: 100, workerId: 1, sequence: 1});
+    });
+    it('should not create generator with invalid options', async () => {
+      expect(() => new SnowflakeIdGenerator())
+        .to.throw('"workerId" must be an integer from 0 to 1023.');
+      expect(() => new SnowflakeIdGenerator({workerId: 1024}))
+        .to.throw('"workerId" must be an integer from 0 to 1023.');
+      expect(() => new SnowflakeIdGenerator(
+        {workerId: 0, timestampBitLength: 48, sequenceBitLength: 8}))
+        .to.throw('Snowflake ids must be at most 64 bits.');
+    });
+    it('should not generate with timestamp before epoch', async () => {
+      const generator = new SnowflakeIdGenerator(
+        {workerId: 0, epoch, now: () => epoch - 1});
+      let err;
+      try {
+        await generator.generate();
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Timestamp does not fit in 41 bits.');
+    });
+  });
   describe('IdEncoder', () => {
     describe('general', () => {
       it('should create IdEncoder', async () => {
@@ -146,6 +555,30 @@ describe('bnid', () => {
           });
         }).throws();
       });
+      it('should not encode data larger than max bit length', async () => {
+        const e = new IdEncoder({
+          maxBitLength: 20
+        });
+        e.encode(new Uint8Array([0x0f, 0xff, 0xff])).should.equal('z6Nht');
+        const data = [
+          [0x10, 0x00, 0x00],
+          [0x00, 0x00, 0x00, 0x00]
+        ];
+        for(const input of data) {
+          expect(() => {
+            e.encode(new Uint8Array(input));
+          }).throws('Input length greater than maximum of 20 bits.');
+        }
+      });
+      it('should reject fixed bit length larger than max bit length',
+        async () => {
+          expect(() => {
+            new IdEncoder({
+              fixedBitLength: 128,
+              maxBitLength: 64
+            });
+          }).throws('Maximum bit length is 64.');
+        });
     });
     describe('base16', () => {
       it('should create IdEncoder', async () => {
@@ -387,6 +820,38 @@ describe('bnid', () => {
           encoded.should.equal(expected);
         }
       });
+      it('should b58 encode non-byte-aligned fixed size data', async () => {
+        const e = new IdEncoder({
+          fixedBitLength: 50,
+          multibase: false
+        });
+        const data = [
+          [[0x00], '111111111'],
+          [[0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01], '111111112'],
+          [[0x00, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], '3CUsUpv9t'],
+          [[0x03, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], '9nvUvJfca'],
+        ];
+        for(const [input, expected] of data) {
+          const encoded = e.encode(new Uint8Array(input));
+          encoded.length.should.equal(9);
+          encoded.should.equal(expected);
+        }
+      });
+      it('should not b58 encode data with bits outside fixed size',
+        async () => {
+          const e = new IdEncoder({
+            fixedBitLength: 50
+          });
+          const data = [
+            [0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+            [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+          ];
+          for(const input of data) {
+            expect(() => {
+              e.encode(new Uint8Array(input));
+            }).throws();
+          }
+        });
       it('should not b58 encode too large fixed size data', async () => {
         const e = new IdEncoder({
           fixedBitLength: 16
@@ -402,325 +867,2047 @@ describe('bnid', () => {
         }
       });
     });
-  });
-
-  describe('IdDecoder', () => {
-    describe('general', () => {
-      it('should create IdDecoder', async () => {
-        const d = new IdDecoder();
-        should.exist(d);
+    describe('base32', () => {
+      // RFC 4648 test vectors
+      const vectors = [
+        ['', '', ''],
+        ['f', 'my', 'co'],
+        ['fo', 'mzxq', 'cpng'],
+        ['foo', 'mzxw6', 'cpnmu'],
+        ['foob', 'mzxw6yq', 'cpnmuog'],
+        ['fooba', 'mzxw6ytb', 'cpnmuoj1'],
+        ['foobar', 'mzxw6ytboi', 'cpnmuoj1e8'],
+      ];
+      const utf8 = new TextEncoder();
+      it('should b32 encode RFC 4648 vectors', async () => {
+        const encodings = [
+          ['base32', 1, false, false],
+          ['base32upper', 1, true, false],
+          ['base32pad', 1, false, true],
+          ['base32padupper', 1, true, true],
+          ['base32hex', 2, false, false],
+          ['base32hexupper', 2, true, false],
+          ['base32hexpad', 2, false, true],
+          ['base32hexpadupper', 2, true, true],
+        ];
+        for(const [encoding, index, upper, pad] of encodings) {
+          const e = new IdEncoder({encoding, multibase: false});
+          for(const vector of vectors) {
+            let expected = vector[index];
+            if(upper) {
+              expected = expected.toUpperCase();
+            }
+            if(pad) {
+              expected = expected.padEnd(
+                Math.ceil(expected.length / 8) * 8, '=');
+            }
+            e.encode(utf8.encode(vector[0])).should.equal(expected, encoding);
+          }
+        }
       });
-      it('should not decode empty multibase data', async () => {
-        const d = new IdDecoder();
+      it('should multibase b32 encode [0]', async () => {
         const data = [
-          ''
+          ['base32', 'baa'],
+          ['base32upper', 'BAA'],
+          ['base32pad', 'caa======'],
+          ['base32padupper', 'CAA======'],
+          ['base32hex', 'v00'],
+          ['base32hexupper', 'V00'],
+          ['base32hexpad', 't00======'],
+          ['base32hexpadupper', 'T00======'],
         ];
-        for(const input of data) {
-          expect(() => {
-            d.decode(input);
-          }).throws();
+        for(const [encoding, expected] of data) {
+          const e = new IdEncoder({encoding});
+          e.encode(new Uint8Array([0])).should.equal(expected);
         }
       });
-      it('should not decode invalid multibase data', async () => {
-        const d = new IdDecoder();
+      it('should b32 encode fixed size data', async () => {
+        const e = new IdEncoder({
+          encoding: 'base32',
+          fixedBitLength: 50,
+          multibase: false
+        });
         const data = [
-          // invalid/unknown multibase prefix
-          '@0000'
+          [[0x00], 'aaaaaaaaaaaa'],
+          [[0x01, 0x02], 'aaaaaaaaaeba'],
+          [[0x03, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], 'ap777777777q'],
         ];
-        for(const input of data) {
-          expect(() => {
-            d.decode(input);
-          }).throws();
+        for(const [input, expected] of data) {
+          const encoded = e.encode(new Uint8Array(input));
+          encoded.should.equal(expected);
         }
       });
-      it('should reject invalid encoding', async () => {
-        const d = new IdDecoder({
-          encoding: 'baseBogus',
-          multibase: false
+      it('should not b32 encode too large fixed size data', async () => {
+        const e = new IdEncoder({
+          encoding: 'base32',
+          fixedBitLength: 50
         });
         const data = [
-          '00'
+          [0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+          [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
         ];
         for(const input of data) {
           expect(() => {
-            d.decode(input);
+            e.encode(new Uint8Array(input));
           }).throws();
         }
       });
     });
-    describe('base16', () => {
-      it('should create IdDecoder', async () => {
-        const d = new IdDecoder({
-          encoding: 'base16'
-        });
-        should.exist(d);
-      });
-      it('should default b16 decode "00"', async () => {
-        const d = new IdDecoder({
-          encoding: 'base16',
-          multibase: false
-        });
-        const e = '00';
-        const b = d.decode(e);
-        should.exist(b);
-        b.should.be.instanceof(Uint8Array);
-        b.length.should.equal(1);
-        b.should.equalBytes([0]);
-      });
-      it('should default "hex" decode "00"', async () => {
-        const d = new IdDecoder({
-          encoding: 'hex',
-          multibase: false
-        });
-        const e = '00';
-        const b = d.decode(e);
-        should.exist(b);
-        b.should.be.instanceof(Uint8Array);
-        b.length.should.equal(1);
-        b.should.equalBytes([0]);
-      });
-      it('should b16 decode data', async () => {
-        const d = new IdDecoder({
-          encoding: 'base16',
-          multibase: false
-        });
+    describe('base36', () => {
+      it('should multibase b36 encode [0]', async () => {
         const data = [
-          [[0x00], '00'],
-          [[0xff], 'ff'],
-          [[0xff], 'FF'],
-          [[0x00, 0x00], '0000'],
-          [[0x00, 0xff], '00ff'],
-          [[0xff, 0x00], 'ff00'],
-          [[0xff, 0xff], 'ffff'],
-          [[0xab, 0xcd], 'abcd'],
-          [[0x98, 0x76], '9876'],
-          [[0x12, 0x34, 0x56], '123456'],
-          [[0x01, 0x23, 0x45, 0x67, 0x89, 0xab, 0xcd, 0xef],
-            '0123456789abcdef'],
-          // TODO: more strict upper/lower for base16 encodings?
-          [[0x01, 0x23, 0x45, 0x67, 0x89, 0xab, 0xcd, 0xef],
-            '0123456789ABCDEF'],
+          ['base36', 'k0'],
+          ['base36upper', 'K0'],
         ];
-        for(const [expected, input] of data) {
-          const decoded = d.decode(input);
-          decoded.should.equalBytes(expected);
+        for(const [encoding, expected] of data) {
+          const e = new IdEncoder({encoding});
+          e.encode(new Uint8Array([0])).should.equal(expected);
         }
       });
-      it('should b16 decode fixed size data', async () => {
-        const d = new IdDecoder({
-          encoding: 'base16',
-          fixedBitLength: 16,
+      it('should b36 encode data', async () => {
+        const e = new IdEncoder({
+          encoding: 'base36',
           multibase: false
         });
         const data = [
           [[0x00, 0x00], '00'],
           [[0x00, 0x01], '01'],
-          [[0x01, 0x02], '0102'],
-          [[0x01, 0x02], '000102'],
-          [[0x01, 0x02], '00000102'],
+          [[0x00, 0xff], '073'],
+          [[0xff, 0x00], '1edc'],
+          [[0xff, 0xff], '1ekf'],
         ];
-        for(const [expected, input] of data) {
-          const decoded = d.decode(input);
-          decoded.should.equalBytes(expected);
+        for(const [input, expected] of data) {
+          const encoded = e.encode(new Uint8Array(input));
+          encoded.should.equal(expected);
         }
       });
-      it('should b16 decode multibase data', async () => {
-        const d = new IdDecoder({
-          encoding: 'base16'
+      it('should b36u encode data', async () => {
+        const e = new IdEncoder({
+          encoding: 'base36upper',
+          multibase: false
         });
         const data = [
-          [[0x00], 'f00'],
-          [[0x00, 0x00], 'f0000'],
-          [[0x01, 0x02], 'f0102'],
-          [[0x00, 0xff], 'f00ff'],
-          [[0xff, 0x00], 'fff00'],
-          [[0xff, 0xff], 'fffff'],
-          [[0x00, 0x00, 0x00], 'f000000'],
-          [[0x00, 0x00, 0x01], 'f000001'],
+          [[0x00, 0xff], '073'],
+          [[0xff, 0xff], '1EKF'],
         ];
-        for(const [expected, input] of data) {
-          const decoded = d.decode(input);
-          decoded.should.equalBytes(expected);
+        for(const [input, expected] of data) {
+          const encoded = e.encode(new Uint8Array(input));
+          encoded.should.equal(expected);
         }
       });
-      it('should not b16 decode invalid data', async () => {
-        const d = new IdDecoder({
-          encoding: 'base16',
+      it('should b36 encode fixed size data', async () => {
+        const e = new IdEncoder({
+          encoding: 'base36',
+          fixedBitLength: 32,
           multibase: false
         });
         const data = [
-          // invalid length
-          '0',
-          '000'
-          /* TODO: check hex data?  or assume valid input?
-          '0@',
-          '##',
-          '0102030v',
-          */
+          [[0x00, 0x00], '0000000'],
+          [[0x00, 0x01], '0000001'],
+          [[0x00, 0xff], '0000073'],
+          [[0xff, 0x00], '0001edc'],
+          [[0xff, 0xff], '0001ekf'],
+          [[0xff, 0xff, 0xff, 0xff], '1z141z3'],
         ];
-        for(const input of data) {
-          expect(() => {
-            d.decode(input);
+        for(const [input, expected] of data) {
+          const encoded = e.encode(new Uint8Array(input));
+          encoded.should.equal(expected);
+        }
+      });
+      it('should not b36 encode too large fixed size data', async () => {
+        const e = new IdEncoder({
+          encoding: 'base36',
+          fixedBitLength: 16
+        });
+        const data = [
+          [0x00, 0x00, 0x00],
+          [0x01, 0x00, 0x00],
+        ];
+        for(const input of data) {
+          expect(() => {
+            e.encode(new Uint8Array(input));
+          }).throws();
+        }
+      });
+    });
+    describe('crockford32', () => {
+      it('should require non-multibase', async () => {
+        expect(() => {
+          new IdEncoder({
+            encoding: 'crockford32'
+          });
+        }).throws();
+      });
+      it('should reject check symbol for other encodings', async () => {
+        expect(() => {
+          new IdEncoder({
+            checkSymbol: true
+          });
+        }).throws();
+      });
+      it('should c32 encode data', async () => {
+        const e = new IdEncoder({
+          encoding: 'crockford32',
+          multibase: false
+        });
+        const data = [
+          [[0x00], '0'],
+          [[0x00, 0x00], '00'],
+          [[0x00, 0x01], '01'],
+          [[0x04, 0xd2], '16J'],
+          [[0xff, 0xff], '1ZZZ'],
+        ];
+        for(const [input, expected] of data) {
+          const encoded = e.encode(new Uint8Array(input));
+          encoded.should.equal(expected);
+        }
+      });
+      it('should c32 encode data with check symbol', async () => {
+        const e = new IdEncoder({
+          encoding: 'crockford32',
+          multibase: false,
+          checkSymbol: true
+        });
+        const data = [
+          [[0x00], '00'],
+          [[0x04, 0xd2], '16JD'],
+          [[0x24], '14U'],
+          [[0x20], '10*'],
+        ];
+        for(const [input, expected] of data) {
+          const encoded = e.encode(new Uint8Array(input));
+          encoded.should.equal(expected);
+        }
+      });
+      it('should c32 encode fixed size data', async () => {
+        const e = new IdEncoder({
+          encoding: 'crockford32',
+          fixedBitLength: 50,
+          multibase: false,
+          checkSymbol: true
+        });
+        const data = [
+          [[0x00], '00000000000'],
+          [[0x04, 0xd2], '000000016JD'],
+          [[0x03, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], 'ZZZZZZZZZZX'],
+        ];
+        for(const [input, expected] of data) {
+          const encoded = e.encode(new Uint8Array(input));
+          encoded.should.equal(expected);
+        }
+      });
+    });
+    describe('base58check', () => {
+      // Bitcoin P2PKH address for a public key hash
+      const payload = new Uint8Array([
+        0xf5, 0x4a, 0x58, 0x51, 0xe9, 0x37, 0x2b, 0x87, 0x81, 0x0a,
+        0x8e, 0x60, 0xcd, 0xd2, 0xe7, 0xcf, 0xd8, 0x0b, 0x6e, 0x31
+      ]);
+      it('should require non-multibase', async () => {
+        expect(() => {
+          new IdEncoder({
+            encoding: 'base58check'
+          });
+        }).throws();
+      });
+      it('should reject version for other encodings', async () => {
+        expect(() => {
+          new IdEncoder({
+            version: 0
+          });
+        }).throws('Encoding "base58btc" does not support versions.');
+      });
+      it('should reject invalid versions', async () => {
+        for(const version of [-1, 256, 1.5, '0']) {
+          expect(() => {
+            new IdEncoder({
+              encoding: 'base58check',
+              multibase: false,
+              version
+            });
+          }).throws(RangeError);
+        }
+      });
+      it('should base58check encode data', async () => {
+        const e = new IdEncoder({
+          encoding: 'base58check',
+          multibase: false
+        });
+        e.encode(payload).should.equal('1PMycacnJaSqwwJqjawXBErnLsZ7RkXUAs');
+        e.encode(new Uint8Array([0x00, 0x00])).should.equal('11146EAsf');
+      });
+      it('should base58check encode data with version', async () => {
+        const e = new IdEncoder({
+          encoding: 'base58check',
+          multibase: false,
+          version: 5
+        });
+        e.encode(payload).should.equal('3Q3zY87DrUmE371Grgc7bsDiVPqpu4mN1f');
+      });
+      it('should base58check encode fixed size data', async () => {
+        const e = new IdEncoder({
+          encoding: 'base58check',
+          multibase: false,
+          version: 5,
+          fixedBitLength: 128
+        });
+        e.encode(new Uint8Array([0x01, 0x02, 0x03]))
+          .should.equal('JqHhmXvL2enRnEuGXktZqod4aQjg');
+        e.encode(new Uint8Array([0x00, 0x01, 0x02, 0x03]))
+          .should.equal('JqHhmXvL2enRnEuGXktZqod4aQjg');
+      });
+    });
+    describe('bech32', () => {
+      it('should require non-multibase', async () => {
+        expect(() => {
+          new IdEncoder({
+            encoding: 'bech32',
+            hrp: 'usr'
+          });
+        }).throws();
+      });
+      it('should require hrp', async () => {
+        expect(() => {
+          new IdEncoder({
+            encoding: 'bech32',
+            multibase: false
+          });
+        }).throws('Encoding "bech32" requires a human-readable part.');
+      });
+      it('should reject hrp for other encodings', async () => {
+        expect(() => {
+          new IdEncoder({
+            hrp: 'usr'
+          });
+        }).throws(
+          'Encoding "base58btc" does not support a human-readable part.');
+      });
+      it('should reject invalid hrps', async () => {
+        for(const hrp of ['', 'USR', 'u r', 'a'.repeat(84), 1]) {
+          expect(() => {
+            new IdEncoder({
+              encoding: 'bech32',
+              multibase: false,
+              hrp
+            });
+          }).throws();
+        }
+      });
+      it('should bech32 encode data', async () => {
+        const data = [
+          ['bech32', 'a', [], 'a12uel5l'],
+          ['bech32m', 'a', [], 'a1lqfn3a'],
+          ['bech32', 'inv', [0x00, 0x01, 0x02, 0x03], 'inv1qqqsyqcvfrtp6'],
+          ['bech32m', 'inv', [0x00, 0x01, 0x02, 0x03], 'inv1qqqsyqce4n8yc'],
+        ];
+        for(const [encoding, hrp, input, expected] of data) {
+          const e = new IdEncoder({encoding, multibase: false, hrp});
+          e.encode(new Uint8Array(input)).should.equal(expected);
+        }
+      });
+      it('should bech32 encode fixed size data', async () => {
+        const e = new IdEncoder({
+          encoding: 'bech32',
+          multibase: false,
+          hrp: 'usr',
+          fixedBitLength: 128
+        });
+        e.encode(new Uint8Array([0x01, 0x02]))
+          .should.equal('usr1qqqqqqqqqqqqqqqqqqqqqqqpqgqn7t6q');
+      });
+    });
+    describe('custom alphabet', () => {
+      const base58Alphabet =
+        '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+      const base62Alphabet =
+        '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+      it('should reject invalid alphabets', async () => {
+        const data = [
+          '',
+          'a',
+          'abca',
+          '0123456789abcdef0',
+          ['0', '1'],
+        ];
+        for(const alphabet of data) {
+          expect(() => {
+            new IdEncoder({alphabet, multibase: false});
+          }).throws();
+        }
+      });
+      it('should require non-multibase', async () => {
+        expect(() => {
+          new IdEncoder({
+            alphabet: base62Alphabet
+          });
+        }).throws();
+      });
+      it('should encode same as base58 with base58 alphabet', async () => {
+        const e = new IdEncoder({
+          alphabet: base58Alphabet,
+          fixedBitLength: 32,
+          multibase: false
+        });
+        const data = [
+          [[0x00, 0x00], '111111'],
+          [[0x00, 0x01], '111112'],
+          [[0x00, 0xff], '11115Q'],
+          [[0xff, 0x00], '111LQX'],
+          [[0xff, 0xff], '111LUv'],
+        ];
+        for(const [input, expected] of data) {
+          const encoded = e.encode(new Uint8Array(input));
+          encoded.should.equal(expected);
+        }
+      });
+      it('should encode data with custom alphabets', async () => {
+        const data = [
+          [base62Alphabet, [0x00], '0'],
+          [base62Alphabet, [0x00, 0x00, 0x3d], '00z'],
+          [base62Alphabet, [0x00, 0x3e], '010'],
+          [base62Alphabet, [0xff, 0xff], 'H31'],
+          ['23456789abcdefghjkmnpqrstuvwxyz', [0x00, 0x1e], '2z'],
+          ['23456789abcdefghjkmnpqrstuvwxyz', [0x1f], '32'],
+          ['01', [0x05], '101'],
+          ['01', [0x00, 0x05], '0101'],
+        ];
+        for(const [alphabet, input, expected] of data) {
+          const e = new IdEncoder({alphabet, multibase: false});
+          e.encode(new Uint8Array(input)).should.equal(expected);
+        }
+      });
+      it('should encode fixed size data with custom alphabets', async () => {
+        const data = [
+          [base62Alphabet, 32, [0x00], '000000'],
+          [base62Alphabet, 32, [0x00, 0x00, 0xff, 0xff], '000H31'],
+          [base62Alphabet, 32, [0xff, 0xff, 0xff, 0xff], '4gfFC3'],
+          ['01', 10, [0x00, 0x05], '0000000101'],
+          ['01', 10, [0x03, 0xff], '1111111111'],
+        ];
+        for(const [alphabet, fixedBitLength, input, expected] of data) {
+          const e = new IdEncoder({alphabet, fixedBitLength, multibase: false});
+          e.encode(new Uint8Array(input)).should.equal(expected);
+        }
+      });
+    });
+    describe('base64', () => {
+      // RFC 4648 test vectors
+      const vectors = [
+        ['', ''],
+        ['f', 'Zg=='],
+        ['fo', 'Zm8='],
+        ['foo', 'Zm9v'],
+        ['foob', 'Zm9vYg=='],
+        ['fooba', 'Zm9vYmE='],
+        ['foobar', 'Zm9vYmFy'],
+      ];
+      const utf8 = new TextEncoder();
+      it('should b64 encode RFC 4648 vectors', async () => {
+        const encodings = [
+          ['base64', false],
+          ['base64pad', true],
+          ['base64url', false],
+          ['base64urlpad', true],
+        ];
+        for(const [encoding, pad] of encodings) {
+          const e = new IdEncoder({encoding, multibase: false});
+          for(const [input, padded] of vectors) {
+            const expected = pad ? padded : padded.replace(/=+$/, '');
+            e.encode(utf8.encode(input)).should.equal(expected, encoding);
+          }
+        }
+      });
+      it('should multibase b64 encode data', async () => {
+        const data = [
+          ['base64', [0x00], 'mAA'],
+          ['base64pad', [0x00], 'MAA=='],
+          ['base64url', [0x00], 'uAA'],
+          ['base64urlpad', [0x00], 'UAA=='],
+          ['base64', [0xfb, 0xff], 'm+/8'],
+          ['base64pad', [0xfb, 0xff], 'M+/8='],
+          ['base64url', [0xfb, 0xff], 'u-_8'],
+          ['base64urlpad', [0xfb, 0xff], 'U-_8='],
+        ];
+        for(const [encoding, input, expected] of data) {
+          const e = new IdEncoder({encoding});
+          e.encode(new Uint8Array(input)).should.equal(expected);
+        }
+      });
+      it('should b64 encode fixed size data', async () => {
+        const e = new IdEncoder({
+          encoding: 'base64url',
+          fixedBitLength: 50,
+          multibase: false
+        });
+        const data = [
+          [[0x00], 'AAAAAAAAAA'],
+          [[0x01, 0x02], 'AAAAAAABAg'],
+          [[0x03, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], 'A________w'],
+        ];
+        for(const [input, expected] of data) {
+          const encoded = e.encode(new Uint8Array(input));
+          encoded.should.equal(expected);
+        }
+      });
+      it('should not b64 encode too large fixed size data', async () => {
+        const e = new IdEncoder({
+          encoding: 'base64url',
+          fixedBitLength: 50
+        });
+        const data = [
+          [0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+          [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        ];
+        for(const input of data) {
+          expect(() => {
+            e.encode(new Uint8Array(input));
+          }).throws();
+        }
+      });
+    });
+    describe('checksum', () => {
+      it('should reject unknown checksums', async () => {
+        expect(() => {
+          new IdEncoder({checksum: 'crc32'});
+        }).throws('Unknown checksum "crc32".');
+      });
+      it('should append crc32c checksum', async () => {
+        const e = new IdEncoder({
+          encoding: 'base16',
+          checksum: 'crc32c'
+        });
+        // CRC-32C of 0x0102 is 0x03f89f52
+        e.encode(new Uint8Array([0x01, 0x02])).should.equal('f010203f89f52');
+        // leading zeros are covered by the checksum
+        e.encode(new Uint8Array([0x00, 0x01, 0x02]))
+          .should.equal('f00010292fd4bfa');
+      });
+      it('should encode fixed length data with checksum', async () => {
+        const e = new IdEncoder({
+          encoding: 'base16',
+          fixedBitLength: 32,
+          checksum: 'crc32c'
+        });
+        // checksum is over the bytes padded to the fixed length
+        e.encode(new Uint8Array([0x01, 0x02]))
+          .should.equal('f00000102bafea347');
+        e.encode(new Uint8Array([0x00, 0x00, 0x01, 0x02]))
+          .should.equal('f00000102bafea347');
+      });
+      it('should encode multihash data with checksum', async () => {
+        const e = new IdEncoder({
+          encoding: 'base32',
+          multihash: true,
+          checksum: 'crc32c'
+        });
+        e.encode(new Uint8Array(32).fill(0x07)).should.equal(
+          'baaqaobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqob7dxsifo');
+      });
+    });
+  });
+
+  describe('IdDecoder', () => {
+    describe('general', () => {
+      it('should create IdDecoder', async () => {
+        const d = new IdDecoder();
+        should.exist(d);
+      });
+      it('should not decode empty multibase data', async () => {
+        const d = new IdDecoder();
+        const data = [
+          ''
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws();
+        }
+      });
+      it('should not decode invalid multibase data', async () => {
+        const d = new IdDecoder();
+        const data = [
+          // invalid/unknown multibase prefix
+          '@0000'
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws();
+        }
+      });
+      it('should not decode data longer than max bit length', async () => {
+        const d = new IdDecoder({
+          maxBitLength: 64
+        });
+        const data = [
+          // too many characters
+          'z' + '1'.repeat(12),
+          'f' + '0'.repeat(18),
+          // too many bits: [0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+          //   0x00]
+          'zjpXCZedGfVR',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws(/greater than maximum/);
+        }
+      });
+      it('should not decode huge data using default max bit length',
+        async () => {
+          const d = new IdDecoder();
+          expect(() => {
+            d.decode('z' + '2'.repeat(1024 * 1024));
+          }).throws(/greater than maximum/);
+        });
+      it('should reject invalid encoding', async () => {
+        const d = new IdDecoder({
+          encoding: 'baseBogus',
+          multibase: false
+        });
+        const data = [
+          '00'
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws();
+        }
+      });
+    });
+    describe('base16', () => {
+      it('should create IdDecoder', async () => {
+        const d = new IdDecoder({
+          encoding: 'base16'
+        });
+        should.exist(d);
+      });
+      it('should default b16 decode "00"', async () => {
+        const d = new IdDecoder({
+          encoding: 'base16',
+          multibase: false
+        });
+        const e = '00';
+        const b = d.decode(e);
+        should.exist(b);
+        b.should.be.instanceof(Uint8Array);
+        b.length.should.equal(1);
+        b.should.equalBytes([0]);
+      });
+      it('should default "hex" decode "00"', async () => {
+        const d = new IdDecoder({
+          encoding: 'hex',
+          multibase: false
+        });
+        const e = '00';
+        const b = d.decode(e);
+        should.exist(b);
+        b.should.be.instanceof(Uint8Array);
+        b.length.should.equal(1);
+        b.should.equalBytes([0]);
+      });
+      it('should b16 decode data', async () => {
+        const d = new IdDecoder({
+          encoding: 'base16',
+          multibase: false
+        });
+        const data = [
+          [[0x00], '00'],
+          [[0xff], 'ff'],
+          [[0xff], 'FF'],
+          [[0x00, 0x00], '0000'],
+          [[0x00, 0xff], '00ff'],
+          [[0xff, 0x00], 'ff00'],
+          [[0xff, 0xff], 'ffff'],
+          [[0xab, 0xcd], 'abcd'],
+          [[0x98, 0x76], '9876'],
+          [[0x12, 0x34, 0x56], '123456'],
+          [[0x01, 0x23, 0x45, 0x67, 0x89, 0xab, 0xcd, 0xef],
+            '0123456789abcdef'],
+          // TODO: more strict upper/lower for base16 encodings?
+          [[0x01, 0x23, 0x45, 0x67, 0x89, 0xab, 0xcd, 0xef],
+            '0123456789ABCDEF'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should b16 decode fixed size data', async () => {
+        const d = new IdDecoder({
+          encoding: 'base16',
+          fixedBitLength: 16,
+          multibase: false
+        });
+        const data = [
+          [[0x00, 0x00], '00'],
+          [[0x00, 0x01], '01'],
+          [[0x01, 0x02], '0102'],
+          [[0x01, 0x02], '000102'],
+          [[0x01, 0x02], '00000102'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should b16 decode multibase data', async () => {
+        const d = new IdDecoder({
+          encoding: 'base16'
+        });
+        const data = [
+          [[0x00], 'f00'],
+          [[0x00, 0x00], 'f0000'],
+          [[0x01, 0x02], 'f0102'],
+          [[0x00, 0xff], 'f00ff'],
+          [[0xff, 0x00], 'fff00'],
+          [[0xff, 0xff], 'fffff'],
+          [[0x00, 0x00, 0x00], 'f000000'],
+          [[0x00, 0x00, 0x01], 'f000001'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should not b16 decode invalid data', async () => {
+        const d = new IdDecoder({
+          encoding: 'base16',
+          multibase: false
+        });
+        const data = [
+          // invalid length
+          '0',
+          '000',
+          // invalid character
+          '0@',
+          '##',
+          '0102030v',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws();
+        }
+      });
+      it('should not b16 decode too large fixed size data', async () => {
+        const d = new IdDecoder({
+          encoding: 'base16',
+          fixedBitLength: 16
+        });
+        const data = [
+          '010203', // [0x01, 0x02, 0x03]
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws();
+        }
+      });
+      it('should not b16 decode non-hex data', async () => {
+        const d = new IdDecoder({
+          encoding: 'base16',
+          multibase: false
+        });
+        for(const input of ['xyzw', '01zz', '0g']) {
+          expect(() => d.decode(input))
+            .throws(`Invalid encoded data "${input}".`);
+        }
+      });
+    });
+    describe('base58', () => {
+      it('should create IdDecoder', async () => {
+        const d = new IdDecoder();
+        should.exist(d);
+      });
+      it('should default b58 decode "z1"', async () => {
+        const d = new IdDecoder();
+        const e = 'z1';
+        const b = d.decode(e);
+        should.exist(b);
+        b.should.be.instanceof(Uint8Array);
+        b.length.should.equal(1);
+        b.should.equalBytes([0]);
+      });
+      it('should b58 decode non-multibase data', async () => {
+        const d = new IdDecoder({
+          multibase: false
+        });
+        const data = [
+          [[0x00, 0x00], '11'],
+          [[0x00, 0x01], '12'],
+          [[0x00, 0xff], '15Q'],
+          [[0xff, 0x00], 'LQX'],
+          [[0xff, 0xff], 'LUv'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should b58 decode fixed size data', async () => {
+        const d = new IdDecoder({
+          fixedBitLength: 16,
+          multibase: false
+        });
+        const data = [
+          [[0x00, 0x00], '111'],
+          [[0x00, 0x01], '112'],
+          [[0x00, 0xff], '15Q'],
+          [[0xff, 0x00], 'LQX'],
+          [[0xff, 0xff], 'LUv'],
+          [[0x00, 0x00], '111111'],
+          [[0x00, 0x01], '111112'],
+          [[0x00, 0xff], '11115Q'],
+          [[0xff, 0x00], '111LQX'],
+          [[0xff, 0xff], '111LUv'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should b58 decode multibase data', async () => {
+        const d = new IdDecoder();
+        const data = [
+          [[0x00, 0x00], 'z11'],
+          [[0x00, 0x01], 'z12'],
+          [[0x00, 0xff], 'z15Q'],
+          [[0xff, 0x00], 'zLQX'],
+          [[0xff, 0xff], 'zLUv'],
+          [[0x00, 0x00, 0x00], 'z111'],
+          [[0x00, 0x00, 0x01], 'z112'],
+          [[0xff, 0xff, 0xff], 'z2UzHL'],
+          [[0x00, 0x00, 0x00, 0x00], 'z1111'],
+          [[0xff, 0xff, 0xff, 0xff], 'z7YXq9G'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should not b58 decode invalid data', async () => {
+        const d = new IdDecoder({
+          multibase: false
+        });
+        const data = [
+          '0',
+          'O',
+          'I',
+          'l'
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws();
+        }
+      });
+      it('should b58 decode non-byte-aligned fixed size data', async () => {
+        const d = new IdDecoder({
+          fixedBitLength: 50,
+          multibase: false
+        });
+        const data = [
+          [[0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00], '111111111'],
+          [[0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01], '111111112'],
+          [[0x03, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], '9nvUvJfca'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should not b58 decode data with bits outside fixed size',
+        async () => {
+          const d = new IdDecoder({
+            fixedBitLength: 50,
+            multibase: false
+          });
+          const data = [
+            // [0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]
+            '9nvUvJfcb'
+          ];
+          for(const input of data) {
+            expect(() => {
+              d.decode(input);
+            }).throws();
+          }
+        });
+      it('should not b58 decode too large fixed size data', async () => {
+        const d = new IdDecoder({
+          fixedBitLength: 16
+        });
+        const data = [
+          'zfxr', // [0x01, 0xff, 0xff]
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws();
+        }
+      });
+    });
+    describe('base32', () => {
+      it('should b32 decode multibase data', async () => {
+        const d = new IdDecoder();
+        const data = [
+          [[0x00], 'baa'],
+          [[0x00], 'BAA'],
+          [[0x00], 'caa======'],
+          [[0x00], 'CAA======'],
+          [[0x00], 'v00'],
+          [[0x00], 'V00'],
+          [[0x00], 't00======'],
+          [[0x00], 'T00======'],
+          [[0x66, 0x6f, 0x6f, 0x62, 0x61, 0x72], 'bmzxw6ytboi'],
+          [[0x66, 0x6f, 0x6f, 0x62, 0x61, 0x72], 'BMZXW6YTBOI'],
+          [[0x66, 0x6f, 0x6f, 0x62, 0x61, 0x72], 'cmzxw6ytboi======'],
+          [[0x66, 0x6f, 0x6f, 0x62, 0x61, 0x72], 'vcpnmuoj1e8'],
+          [[0x66, 0x6f, 0x6f, 0x62, 0x61, 0x72], 'TCPNMUOJ1E8======'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should b32 decode fixed size data', async () => {
+        const d = new IdDecoder({
+          fixedBitLength: 50
+        });
+        const data = [
+          [[0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00], 'baaaaaaaaaaaa'],
+          [[0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x02], 'baaaaaaaaaeba'],
+          [[0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x02], 'baeba'],
+          [[0x03, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], 'bap777777777q'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should not b32 decode invalid data', async () => {
+        const d = new IdDecoder();
+        const data = [
+          // invalid length
+          'ba',
+          'baaa',
+          'baaaaaa',
+          // invalid character
+          'ba1',
+          'b0a',
+          'vaw',
+          // non-zero trailing bits
+          'bab',
+          // missing or bad padding
+          'caa',
+          'caa=====',
+          'caa=======',
+          'baa======',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws();
+        }
+      });
+      it('should not b32 decode data in the wrong case', async () => {
+        const d = new IdDecoder();
+        const data = [
+          // upper case data with lower case prefix
+          'bMZXW6YTBOI',
+          'vCPNMUOJ1E8',
+          // lower case data with upper case prefix
+          'Bmzxw6ytboi',
+          'Tcpnmuoj1e8======',
+          // mixed case
+          'bmzxw6YTBOI',
+          'BMZXW6ytboi',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws(Error, /Invalid encoded data/);
+        }
+        expect(() => {
+          new IdDecoder({encoding: 'base32', multibase: false})
+            .decode('MZXW6YTBOI');
+        }).throws(Error, /Invalid encoded data/);
+      });
+      it('should not b32 decode too large fixed size data', async () => {
+        const d = new IdDecoder({
+          fixedBitLength: 50
+        });
+        const data = [
+          // [0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]
+          'baqaaaaaaaaaa',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws();
+        }
+      });
+    });
+    describe('base36', () => {
+      it('should b36 decode multibase data', async () => {
+        const d = new IdDecoder();
+        const data = [
+          [[0x00], 'k0'],
+          [[0x00], 'K0'],
+          [[0x00, 0x00], 'k00'],
+          [[0x00, 0x01], 'k01'],
+          [[0x00, 0xff], 'k073'],
+          [[0xff, 0x00], 'k1edc'],
+          [[0xff, 0xff], 'k1ekf'],
+          [[0xff, 0xff], 'K1EKF'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should b36 decode fixed size data', async () => {
+        const d = new IdDecoder({
+          fixedBitLength: 32
+        });
+        const data = [
+          [[0x00, 0x00, 0x00, 0x00], 'k0000000'],
+          [[0x00, 0x00, 0x00, 0xff], 'k000073'],
+          [[0x00, 0x00, 0xff, 0xff], 'k1ekf'],
+          [[0xff, 0xff, 0xff, 0xff], 'k1z141z3'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should not b36 decode invalid data', async () => {
+        const d = new IdDecoder();
+        const data = [
+          'k0-',
+          'k_',
+          'k1ek f',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws();
+        }
+      });
+      it('should not b36 decode data in the wrong case', async () => {
+        const d = new IdDecoder();
+        const data = [
+          // upper case data with lower case prefix
+          'k1EKF',
+          // lower case data with upper case prefix
+          'K1ekf',
+          // mixed case
+          'k1eKf',
+          'K1EkF',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws(Error, /Invalid encoded data/);
+        }
+      });
+      it('should not b36 decode too large fixed size data', async () => {
+        const d = new IdDecoder({
+          fixedBitLength: 16
+        });
+        const data = [
+          // [0x01, 0x00, 0x00]
+          'k1ekg',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
           }).throws();
         }
       });
-      it('should not b16 decode too large fixed size data', async () => {
+    });
+    describe('crockford32', () => {
+      it('should c32 decode data', async () => {
+        const d = new IdDecoder({
+          encoding: 'crockford32',
+          multibase: false
+        });
+        const data = [
+          [[0x00], '0'],
+          [[0x00], 'O'],
+          [[0x00], 'o'],
+          [[0x00, 0x00], '00'],
+          [[0x04, 0xd2], '16J'],
+          [[0x04, 0xd2], '16j'],
+          [[0x04, 0xd2], '1-6-J'],
+          [[0x04, 0xd2], 'I6J'],
+          [[0x04, 0xd2], 'i6j'],
+          [[0x04, 0xd2], 'L6J'],
+          [[0x04, 0xd2], 'l6j'],
+          [[0xff, 0xff], '1zzz'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should c32 decode data with check symbol', async () => {
+        const d = new IdDecoder({
+          encoding: 'crockford32',
+          multibase: false,
+          checkSymbol: true
+        });
+        const data = [
+          [[0x00], '00'],
+          [[0x04, 0xd2], '16JD'],
+          [[0x04, 0xd2], '16-jd'],
+          [[0x24], '14U'],
+          [[0x24], '14u'],
+          [[0x20], '10*'],
+        ];
+        for(const [expected, input] of data) {
+          const decoded = d.decode(input);
+          decoded.should.equalBytes(expected);
+        }
+      });
+      it('should not c32 decode invalid data', async () => {
+        const d = new IdDecoder({
+          encoding: 'crockford32',
+          multibase: false
+        });
+        const data = [
+          'U',
+          '1U',
+          '16J*',
+          '16_J',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws(Error, /Invalid encoded data/);
+        }
+      });
+      it('should not c32 decode mismatched check symbol', async () => {
+        const d = new IdDecoder({
+          encoding: 'crockford32',
+          multibase: false,
+          checkSymbol: true
+        });
+        const data = [
+          // wrong check symbol
+          '16JE',
+          '16J*',
+          // mistyped data
+          '17JD',
+          '16KD',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws(ChecksumError);
+        }
+        expect(() => {
+          d.decode('');
+        }).throws();
+      });
+    });
+    describe('base58check', () => {
+      const id = '1PMycacnJaSqwwJqjawXBErnLsZ7RkXUAs';
+      const payload = 'f54a5851e9372b87810a8e60cdd2e7cfd80b6e31';
+      it('should reject version for other encodings', async () => {
+        expect(() => {
+          new IdDecoder({
+            version: 0
+          });
+        }).throws('Encoding "base58" does not support versions.');
+      });
+      it('should base58check decode data', async () => {
+        const d = new IdDecoder({
+          encoding: 'base58check',
+          multibase: false
+        });
+        d.decode(id).should.equalBytes(payload);
+        // any version is accepted by default
+        d.decode('3Q3zY87DrUmE371Grgc7bsDiVPqpu4mN1f')
+          .should.equalBytes(payload);
+        d.decode('11146EAsf').should.equalBytes('0000');
+      });
+      it('should base58check decode fixed size data', async () => {
+        const d = new IdDecoder({
+          encoding: 'base58check',
+          multibase: false,
+          version: 5,
+          fixedBitLength: 24
+        });
+        d.decode('JqHhmXvL2enRnEuGXktZqod4aQjg').should.equalBytes('010203');
+      });
+      it('should require version', async () => {
+        const d = new IdDecoder({
+          encoding: 'base58check',
+          multibase: false,
+          version: 5
+        });
+        d.decode('3Q3zY87DrUmE371Grgc7bsDiVPqpu4mN1f')
+          .should.equalBytes(payload);
+        expect(() => {
+          d.decode(id);
+        }).throws('Invalid version "0".');
+      });
+      it('should not base58check decode mismatched checksum', async () => {
+        const d = new IdDecoder({
+          encoding: 'base58check',
+          multibase: false
+        });
+        const data = [
+          // wrong checksum
+          '1PMycacnJaSqwwJqjawXBErnLsZ7RkXUAt',
+          // mistyped data
+          '1PMycacnJaSqwwJqjawXBErnLsZ8RkXUAs',
+          '1QMycacnJaSqwwJqjawXBErnLsZ7RkXUAs'
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws(ChecksumError);
+        }
+      });
+      it('should not base58check decode invalid data', async () => {
+        const d = new IdDecoder({
+          encoding: 'base58check',
+          multibase: false
+        });
+        const data = [
+          // too short for version and checksum
+          '',
+          '1111',
+          // invalid characters
+          '0PMycacnJaSqwwJqjawXBErnLsZ7RkXUAs'
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws(Error, /Invalid encoded data/);
+        }
+      });
+    });
+    describe('bech32', () => {
+      it('should reject hrp for other encodings', async () => {
+        expect(() => {
+          new IdDecoder({
+            hrp: 'usr'
+          });
+        }).throws('Encoding "base58" does not support a human-readable part.');
+      });
+      it('should bech32 decode data', async () => {
+        const data = [
+          ['bech32', [], 'a12uel5l'],
+          ['bech32', [], 'A12UEL5L'],
+          ['bech32m', [], 'a1lqfn3a'],
+          ['bech32', [0x00, 0x01, 0x02, 0x03], 'inv1qqqsyqcvfrtp6'],
+          ['bech32m', [0x00, 0x01, 0x02, 0x03], 'inv1qqqsyqce4n8yc'],
+          // human-readable part may contain "1"
+          ['bech32', [], 'an83characterlonghumanreadablepartthatcontains' +
+            'thenumber1andtheexcludedcharactersbio1tt5tgs'],
+        ];
+        for(const [encoding, expected, input] of data) {
+          const d = new IdDecoder({encoding, multibase: false});
+          d.decode(input).should.equalBytes(expected);
+        }
+      });
+      it('should bech32 round trip generated ids', async () => {
+        for(const encoding of ['bech32', 'bech32m']) {
+          const e = new IdEncoder({encoding, multibase: false, hrp: 'usr'});
+          const d = new IdDecoder({encoding, multibase: false, hrp: 'usr'});
+          for(const bitLength of [8, 16, 24, 32, 40, 64, 100, 128, 256]) {
+            const bytes = await new IdGenerator({bitLength}).generate();
+            d.decode(e.encode(bytes)).should.equalBytes(bytes);
+          }
+        }
+      });
+      it('should bech32 decode fixed size data', async () => {
+        const d = new IdDecoder({
+          encoding: 'bech32',
+          multibase: false,
+          fixedBitLength: 16
+        });
+        d.decode('usr1qqqqqqqqqqqqqqqqqqqqqqqpqgqn7t6q')
+          .should.equalBytes('0102');
+      });
+      it('should require hrp', async () => {
+        const d = new IdDecoder({
+          encoding: 'bech32',
+          multibase: false,
+          hrp: 'inv'
+        });
+        d.decode('inv1qqqsyqcvfrtp6').should.equalBytes('00010203');
+        expect(() => {
+          d.decode('usr1qqqqqqqqqqqqqqqqqqqqqqqpqgqn7t6q');
+        }).throws('Invalid human-readable part "usr".');
+        expect(() => {
+          d.decode('qqqsyqcvfrtp6');
+        }).throws('Human-readable part not found.');
+      });
+      it('should locate bech32 typos', async () => {
+        const d = new IdDecoder({
+          encoding: 'bech32',
+          multibase: false
+        });
+        const data = [
+          ['inv1qqqsyqcvfrtp6', null],
+          ['inv1qqqsyqcvfrtpq', [16]],
+          ['inv1qqqsyzcvfrtp6', [9]],
+          ['inv1pqqsyqcvfrtp6', [4]],
+        ];
+        for(const [input, positions] of data) {
+          if(!positions) {
+            d.decode(input);
+            continue;
+          }
+          let error;
+          try {
+            d.decode(input);
+          } catch(e) {
+            error = e;
+          }
+          expect(error).to.be.instanceOf(ChecksumError);
+          error.positions.should.eql(positions);
+          error.message.should.equal(
+            `Invalid checksum. Possible typo at position ${positions[0]}.`);
+        }
+        // more errors than can be located
+        let error;
+        try {
+          d.decode('inv1pqqsyzcvfrtp6');
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(ChecksumError);
+        error.positions.should.eql([]);
+      });
+      it('should not bech32 decode invalid data', async () => {
         const d = new IdDecoder({
-          encoding: 'base16',
-          fixedBitLength: 16
+          encoding: 'bech32',
+          multibase: false
         });
         const data = [
-          '010203', // [0x01, 0x02, 0x03]
+          // mixed case
+          'inv1qqqsyqcvFrtp6',
+          'Inv1qqqsyqcvfrtp6',
+          // invalid character
+          'inv1qqqsyqbvfrtp6',
+          // too short for checksum
+          'a1qqqqq',
+          // non-zero padding bits
+          'a1qpamnt9j',
         ];
         for(const input of data) {
           expect(() => {
             d.decode(input);
-          }).throws();
+          }).throws(Error, /Invalid encoded data/);
         }
+        // bech32m checksum is not valid bech32
+        expect(() => {
+          d.decode('inv1qqqsyqce4n8yc');
+        }).throws(ChecksumError);
       });
     });
-    describe('base58', () => {
-      it('should create IdDecoder', async () => {
-        const d = new IdDecoder();
-        should.exist(d);
+    describe('custom alphabet', () => {
+      const base62Alphabet =
+        '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+      it('should require non-multibase', async () => {
+        expect(() => {
+          new IdDecoder({
+            alphabet: base62Alphabet
+          });
+        }).throws();
       });
-      it('should default b58 decode "z1"', async () => {
-        const d = new IdDecoder();
-        const e = 'z1';
-        const b = d.decode(e);
-        should.exist(b);
-        b.should.be.instanceof(Uint8Array);
-        b.length.should.equal(1);
-        b.should.equalBytes([0]);
+      it('should reject invalid alphabets', async () => {
+        expect(() => {
+          new IdDecoder({alphabet: 'abca', multibase: false});
+        }).throws('Alphabet contains duplicate character "a".');
       });
-      it('should b58 decode non-multibase data', async () => {
+      it('should decode data with custom alphabets', async () => {
+        const data = [
+          [base62Alphabet, [0x00], '0'],
+          [base62Alphabet, [0x00, 0x00, 0x3d], '00z'],
+          [base62Alphabet, [0x00, 0x3e], '010'],
+          [base62Alphabet, [0xff, 0xff], 'H31'],
+          ['23456789abcdefghjkmnpqrstuvwxyz', [0x00, 0x1e], '2z'],
+          ['01', [0x05], '101'],
+          ['01', [0x00, 0x05], '0101'],
+        ];
+        for(const [alphabet, expected, input] of data) {
+          const d = new IdDecoder({alphabet, multibase: false});
+          d.decode(input).should.equalBytes(expected);
+        }
+      });
+      it('should decode fixed size data with custom alphabets', async () => {
         const d = new IdDecoder({
+          alphabet: base62Alphabet,
+          fixedBitLength: 32,
           multibase: false
         });
         const data = [
-          [[0x00, 0x00], '11'],
-          [[0x00, 0x01], '12'],
-          [[0x00, 0xff], '15Q'],
-          [[0xff, 0x00], 'LQX'],
-          [[0xff, 0xff], 'LUv'],
+          [[0x00, 0x00, 0x00, 0x00], '000000'],
+          [[0x00, 0x00, 0xff, 0xff], '000H31'],
+          [[0x00, 0x00, 0xff, 0xff], 'H31'],
+          [[0xff, 0xff, 0xff, 0xff], '4gfFC3'],
         ];
         for(const [expected, input] of data) {
-          const decoded = d.decode(input);
-          decoded.should.equalBytes(expected);
+          d.decode(input).should.equalBytes(expected);
         }
       });
-      it('should b58 decode fixed size data', async () => {
+      it('should not decode invalid data with custom alphabets', async () => {
         const d = new IdDecoder({
-          fixedBitLength: 16,
+          alphabet: '23456789abcdefghjkmnpqrstuvwxyz',
           multibase: false
         });
         const data = [
-          [[0x00, 0x00], '111'],
-          [[0x00, 0x01], '112'],
-          [[0x00, 0xff], '15Q'],
-          [[0xff, 0x00], 'LQX'],
-          [[0xff, 0xff], 'LUv'],
-          [[0x00, 0x00], '111111'],
-          [[0x00, 0x01], '111112'],
-          [[0x00, 0xff], '11115Q'],
-          [[0xff, 0x00], '111LQX'],
-          [[0xff, 0xff], '111LUv'],
+          '0',
+          '1',
+          'l',
+          'A',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws(/Invalid encoded data/);
+        }
+      });
+      it('should decode with alphabets named like object properties',
+        async () => {
+          const options = {alphabet: 'valueOf', multibase: false};
+          new IdDecoder(options).decode('val')
+            .should.equalBytes([0x00, 0x09]);
+          validateId('val', options).valid.should.equal(true);
+        });
+      it('should decode with many custom alphabets', async () => {
+        // more alphabets than are cached
+        for(let i = 0; i < 40; ++i) {
+          const alphabet = base62Alphabet.slice(i % 20, i % 20 + 2 + i);
+          const d = new IdDecoder({alphabet, multibase: false});
+          d.decode(alphabet[1]).should.equalBytes([0x01]);
+        }
+      });
+    });
+    describe('base64', () => {
+      it('should b64 decode multibase data', async () => {
+        const d = new IdDecoder();
+        const data = [
+          [[0x00], 'mAA'],
+          [[0x00], 'MAA=='],
+          [[0x00], 'uAA'],
+          [[0x00], 'UAA=='],
+          [[0xfb, 0xff], 'm+/8'],
+          [[0xfb, 0xff], 'M+/8='],
+          [[0xfb, 0xff], 'u-_8'],
+          [[0xfb, 0xff], 'U-_8='],
+          [[0x66, 0x6f, 0x6f, 0x62, 0x61, 0x72], 'uZm9vYmFy'],
+          [[0x66, 0x6f, 0x6f, 0x62, 0x61, 0x72], 'MZm9vYmFy'],
         ];
         for(const [expected, input] of data) {
           const decoded = d.decode(input);
           decoded.should.equalBytes(expected);
         }
       });
-      it('should b58 decode multibase data', async () => {
-        const d = new IdDecoder();
+      it('should b64 decode fixed size data', async () => {
+        const d = new IdDecoder({
+          fixedBitLength: 50
+        });
         const data = [
-          [[0x00, 0x00], 'z11'],
-          [[0x00, 0x01], 'z12'],
-          [[0x00, 0xff], 'z15Q'],
-          [[0xff, 0x00], 'zLQX'],
-          [[0xff, 0xff], 'zLUv'],
-          [[0x00, 0x00, 0x00], 'z111'],
-          [[0x00, 0x00, 0x01], 'z112'],
-          [[0xff, 0xff, 0xff], 'z2UzHL'],
-          [[0x00, 0x00, 0x00, 0x00], 'z1111'],
-          [[0xff, 0xff, 0xff, 0xff], 'z7YXq9G'],
+          [[0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00], 'uAAAAAAAAAA'],
+          [[0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x02], 'uAAAAAAABAg'],
+          [[0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x02], 'uAQI'],
+          [[0x03, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], 'uA________w'],
         ];
         for(const [expected, input] of data) {
           const decoded = d.decode(input);
           decoded.should.equalBytes(expected);
         }
       });
-      it('should not b58 decode invalid data', async () => {
+      it('should not b64 decode invalid data', async () => {
+        const d = new IdDecoder();
+        const data = [
+          // invalid length
+          'uA',
+          'uAAAAA',
+          // invalid character
+          'u+/8',
+          'm-_8',
+          'uA.A',
+          // non-zero trailing bits
+          'uAB',
+          // missing or bad padding
+          'MAA',
+          'MAA=',
+          'MAA===',
+          'uAA==',
+        ];
+        for(const input of data) {
+          expect(() => {
+            d.decode(input);
+          }).throws();
+        }
+      });
+      it('should not b64 decode too large fixed size data', async () => {
         const d = new IdDecoder({
-          multibase: false
+          fixedBitLength: 50
         });
         const data = [
-          '0',
-          'O',
-          'I',
-          'l'
+          // [0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]
+          'uBAAAAAAAAA',
         ];
         for(const input of data) {
           expect(() => {
             d.decode(input);
           }).throws();
         }
-      });
-      it('should not b58 decode too large fixed size data', async () => {
-        const d = new IdDecoder({
-          fixedBitLength: 16
-        });
-        const data = [
-          'zfxr', // [0x01, 0xff, 0xff]
-        ];
-        for(const input of data) {
-          expect(() => {
-            d.decode(input);
-          }).throws();
+      });
+    });
+    describe('checksum', () => {
+      it('should reject unknown checksums', async () => {
+        expect(() => {
+          new IdDecoder({checksum: 'crc32'});
+        }).throws('Unknown checksum "crc32".');
+      });
+      it('should verify and strip crc32c checksum', async () => {
+        const d = new IdDecoder({checksum: 'crc32c'});
+        d.decode('f010203f89f52').should.equalBytes('0102');
+        d.decode('f00010292fd4bfa').should.equalBytes('000102');
+      });
+      it('should decode fixed length data with checksum', async () => {
+        const d = new IdDecoder({
+          fixedBitLength: 64,
+          checksum: 'crc32c'
+        });
+        d.decode('z1111111111WAVyAQq').should.equalBytes('0000000000000102');
+        // fewer leading zero characters decode to the same fixed length bytes
+        d.decode('z111111WAVyAQq').should.equalBytes('0000000000000102');
+      });
+      it('should decode multihash data with checksum', async () => {
+        const d = new IdDecoder({
+          multihash: true,
+          checksum: 'crc32c'
+        });
+        d.decode(
+          'baaqaobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqob7dxsifo'
+        ).should.equalBytes(new Uint8Array(32).fill(0x07));
+      });
+      it('should decode CIDs with checksum', async () => {
+        const d = new IdDecoder({
+          cid: true,
+          checksum: 'crc32c'
+        });
+        const {codec, hashFunction, digest} = d.decodeCid(
+          'bafkqaiaha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4ompsv3');
+        codec.should.equal('raw');
+        hashFunction.should.equal('identity');
+        digest.should.equalBytes(new Uint8Array(32).fill(0x07));
+      });
+      it('should compose with check symbols', async () => {
+        const options = {
+          encoding: 'crockford32',
+          multibase: false,
+          checkSymbol: true,
+          checksum: 'crc32c'
+        };
+        const id = new IdEncoder(options).encode(
+          new Uint8Array([0x04, 0xd2]));
+        id.should.equal('4TA6G71TJN');
+        new IdDecoder(options).decode(id).should.equalBytes('04d2');
+      });
+      it('should detect mistyped characters', async () => {
+        const d = new IdDecoder({
+          fixedBitLength: 64,
+          checksum: 'crc32c'
+        });
+        const id = 'z1111111111WAVyAQq';
+        const alphabet =
+          '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+        for(let i = 1; i < id.length; ++i) {
+          for(const c of alphabet) {
+            if(c === id[i]) {
+              continue;
+            }
+            const mistyped = id.slice(0, i) + c + id.slice(i + 1);
+            expect(() => {
+              d.decode(mistyped);
+            }).throws(ChecksumError);
+          }
+        }
+      });
+      it('should detect added or dropped leading zeros', async () => {
+        const d = new IdDecoder({checksum: 'crc32c'});
+        const id = new IdEncoder({checksum: 'crc32c'}).encode(
+          new Uint8Array([0x00, 0x00, 0x01, 0x02, 0x03]));
+        id.should.equal('z113DV4t6afz');
+        d.decode(id).should.equalBytes('0000010203');
+        for(const mistyped of ['z13DV4t6afz', 'z1113DV4t6afz']) {
+          expect(() => {
+            d.decode(mistyped);
+          }).throws(ChecksumError, 'Invalid checksum.');
+        }
+        expect(() => {
+          d.decode('f010292fd4bfa');
+        }).throws(ChecksumError, 'Invalid checksum.');
+        d.decode('f00010292fd4bfa').should.equalBytes('000102');
+      });
+      it('should reject missing checksum', async () => {
+        const d = new IdDecoder({checksum: 'crc32c'});
+        expect(() => {
+          d.decode('f0102');
+        }).throws(ChecksumError, 'Checksum not found.');
+        expect(() => {
+          d.decode('f010203f89f53');
+        }).throws(ChecksumError, 'Invalid checksum.');
+      });
+    });
+  });
+
+  describe('encoding registry', () => {
+    const base62Alphabet =
+      '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+    before(() => {
+      registerEncoding(createBaseNEncoding({
+        name: 'test-base62',
+        aliases: ['test-b62'],
+        multibasePrefix: '6',
+        alphabet: base62Alphabet
+      }));
+    });
+    it('should get built-in encodings', async () => {
+      const data = [
+        ['hex', 'base16', 'f'],
+        ['base16', 'base16', 'f'],
+        ['base58', 'base58btc', 'z'],
+        ['base58btc', 'base58btc', 'z'],
+        ['base32', 'base32', 'b'],
+        ['base36upper', 'base36upper', 'K'],
+        ['base64url', 'base64url', 'u'],
+        ['crockford32', 'crockford32', undefined],
+      ];
+      for(const [name, expectedName, multibasePrefix] of data) {
+        const encoding = getEncoding(name);
+        should.exist(encoding);
+        encoding.name.should.equal(expectedName);
+        should.equal(encoding.multibasePrefix, multibasePrefix);
+        if(multibasePrefix) {
+          getEncodingByMultibasePrefix(multibasePrefix)
+            .should.equal(encoding);
+        }
+      }
+      should.not.exist(getEncoding('baseBogus'));
+      should.not.exist(getEncodingByMultibasePrefix('@'));
+    });
+    it('should encode and decode with registered encoding', async () => {
+      const e = new IdEncoder({
+        encoding: 'test-b62',
+        fixedBitLength: 32
+      });
+      const id = e.encode(new Uint8Array([0xff, 0xff]));
+      id.should.equal('6000H31');
+      // detected from multibase prefix
+      const d = new IdDecoder({fixedBitLength: 32});
+      d.decode(id).should.equalBytes([0x00, 0x00, 0xff, 0xff]);
+      minEncodedIdBytes({encoding: 'test-base62'}).should.equal(17);
+      maxEncodedIdBytes({encoding: 'test-base62'}).should.equal(23);
+    });
+    it('should decode with registered encoding without multibase',
+      async () => {
+        const d = new IdDecoder({
+          encoding: 'test-base62',
+          multibase: false
+        });
+        d.decode('H31').should.equalBytes([0xff, 0xff]);
+      });
+    it('should encode and decode with a custom encoding object', async () => {
+      // reverses base16 output
+      registerEncoding({
+        name: 'test-reversed-hex',
+        multibasePrefix: '~',
+        encode({bytes, fixedBitLength}) {
+          const data = new Uint8Array(
+            fixedBitLength === undefined ? bytes.length : fixedBitLength / 8);
+          data.set(bytes, data.length - bytes.length);
+          return Array.from(data, b => b.toString(16).padStart(2, '0'))
+            .join('').split('').reverse().join('');
+        },
+        decode({data}) {
+          const hex = data.split('').reverse().join('');
+          if(!/^([0-9a-f]{2})*$/.test(hex)) {
+            return;
+          }
+          return new Uint8Array(
+            hex.match(/../g)?.map(h => parseInt(h, 16)) ?? []);
+        },
+        minLength({bitLength}) {
+          return Math.ceil(bitLength / 8) * 2;
+        },
+        maxLength({bitLength}) {
+          return Math.ceil(bitLength / 8) * 2;
+        }
+      });
+      const e = new IdEncoder({
+        encoding: 'test-reversed-hex',
+        fixedBitLength: 24
+      });
+      const id = e.encode(new Uint8Array([0x12, 0x34]));
+      id.should.equal('~432100');
+      decodeId({id}).should.equalBytes([0x00, 0x12, 0x34]);
+      expect(() => decodeId({id: '~4321x'})).throws();
+    });
+    it('should reject conflicting registrations', async () => {
+      const data = [
+        // name conflicts
+        {name: 'base58'},
+        {name: 'test-new', aliases: ['hex']},
+        // multibase prefix conflict
+        {name: 'test-new', multibasePrefix: 'z'},
+      ];
+      for(const options of data) {
+        expect(() => {
+          registerEncoding(createBaseNEncoding({
+            ...options,
+            alphabet: base62Alphabet
+          }));
+        }).throws(/already registered/);
+      }
+      should.not.exist(getEncoding('test-new'));
+    });
+    it('should reject invalid registrations', async () => {
+      const data = [
+        {name: undefined},
+        {name: ''},
+        {name: 'test-invalid', aliases: 'x'},
+        {name: 'test-invalid', multibasePrefix: 'xx'},
+        {name: 'test-invalid', encode: 'x'},
+      ];
+      for(const options of data) {
+        expect(() => {
+          registerEncoding({
+            ...createBaseNEncoding({name: 'x', alphabet: base62Alphabet}),
+            ...options
+          });
+        }).throws(TypeError);
+      }
+    });
+  });
+
+  describe('generateId', () => {
+    it('should generate default id', async () => {
+      const id = await generateId();
+      should.exist(id);
+      id.should.be.a('string');
+      // not fixed length, so could be 'z' + 21 or 22 chars
+      id.length.should.be.gte(minEncodedIdBytes(), id);
+      id.length.should.be.lte(maxEncodedIdBytes(), id);
+      id[0].should.equal('z');
+    });
+    it('should generate default non-multibase id', async () => {
+      const id = await generateId({
+        multibase: false
+      });
+      should.exist(id);
+      id.should.be.a('string');
+      // not fixed length, so could be 21 or 22 chars
+      id.length.should.be.gte(21);
+      id.length.should.be.lte(22);
+    });
+    it('should generate default multibase fixed length id', async () => {
+      const id = await generateId({
+        fixedLength: true,
+        multibase: true
+      });
+      should.exist(id);
+      id.should.be.a('string');
+      id.length.should.equal(maxEncodedIdBytes());
+      id[0].should.equal('z');
+    });
+    it('should generate 256 bit fixed length id', async () => {
+      const id = await generateId({
+        bitLength: 256,
+        fixedLength: true,
+        multibase: false
+      });
+      should.exist(id);
+      id.should.be.a('string');
+      id.length.should.equal(44);
+    });
+  });
+
+  describe('generateIds', () => {
+    it('should generate batch of ids', async () => {
+      const ids = await generateIds({count: 100, fixedLength: true});
+      ids.length.should.equal(100);
+      new Set(ids).size.should.equal(100);
+      for(const id of ids) {
+        id.length.should.equal(maxEncodedIdBytes());
+        id[0].should.equal('z');
+      }
+    });
+    it('should generate same ids as generateId', async () => {
+      const seed = new Uint8Array(32);
+      const options = {encoding: 'base16', bitLength: 64};
+      const ids = await generateIds(
+        {...options, count: 2, randomSource: createSeededRandomSource({seed})});
+      const randomSource = createSeededRandomSource({seed});
+      ids.should.eql([
+        await generateId({...options, randomSource}),
+        await generateId({...options, randomSource})
+      ]);
+    });
+  });
+
+  describe('id streams', () => {
+    // AbortController is a global in Node.js >= 15
+    function skipWithoutAbortController(test) {
+      if(typeof AbortController === 'undefined') {
+        test.skip();
+      }
+    }
+    // ReadableStream requires Node.js >= 16.5
+    function skipWithoutReadableStream(test) {
+      try {
+        createIdReadableStream({count: 0});
+      } catch(e) {
+        test.skip();
+      }
+    }
+
+    it('should iterate ids with count limit', async () => {
+      const ids = [];
+      for await (const id of iterateIds({count: 5, encoding: 'base16'})) {
+        id.should.match(/^f[\da-f]{1,32}$/);
+        ids.push(id);
+      }
+      ids.length.should.equal(5);
+    });
+    it('should iterate ids until break', async () => {
+      let count = 0;
+      for await (const id of iterateIds()) {
+        id[0].should.equal('z');
+        if(++count === 20) {
+          break;
+        }
+      }
+      count.should.equal(20);
+    });
+    it('should stop iterating ids on abort', async function() {
+      skipWithoutAbortController(this);
+      const controller = new AbortController();
+      const ids = [];
+      let err;
+      try {
+        for await (const id of iterateIds({signal: controller.signal})) {
+          ids.push(id);
+          if(ids.length === 3) {
+            controller.abort(new Error('Stop.'));
+          }
+        }
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Stop.');
+      ids.length.should.equal(3);
+    });
+    it('should not iterate ids with invalid count', async () => {
+      expect(() => iterateIds({count: -1}))
+        .to.throw('"count" must be a non-negative integer.');
+    });
+    it('should read ids from ReadableStream', async function() {
+      skipWithoutReadableStream(this);
+      const stream = createIdReadableStream(
+        {count: 10, fixedLength: true, randomSource: buf => buf.fill(0)});
+      const reader = stream.getReader();
+      const ids = [];
+      for(;;) {
+        const {value, done} = await reader.read();
+        if(done) {
+          break;
+        }
+        ids.push(value);
+      }
+      ids.should.eql(new Array(10).fill('z1111111111111111111111'));
+    });
+    it('should only generate ids when ReadableStream is read',
+      async function() {
+        skipWithoutReadableStream(this);
+        let fills = 0;
+        const stream = createIdReadableStream({
+          randomSource: buf => {
+            fills++;
+            return buf;
+          }
+        });
+        const reader = stream.getReader();
+        await reader.read();
+        await reader.read();
+        // allow any eager pulls to settle
+        await new Promise(resolve => setTimeout(resolve, 10));
+        fills.should.be.lte(3);
+        await reader.cancel();
+      });
+    it('should error ReadableStream on abort', async function() {
+      skipWithoutAbortController(this);
+      skipWithoutReadableStream(this);
+      const controller = new AbortController();
+      const stream = createIdReadableStream({signal: controller.signal});
+      const reader = stream.getReader();
+      await reader.read();
+      controller.abort(new Error('Stop.'));
+      let err;
+      try {
+        for(;;) {
+          const {done} = await reader.read();
+          if(done) {
+            break;
+          }
+        }
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Stop.');
+    });
+    it('should read ids from Node.js Readable', async function() {
+      // Node.js streams are not supported in browsers
+      if(typeof window !== 'undefined') {
+        this.skip();
+      }
+      const readable = createIdReadable({count: 25});
+      const ids = [];
+      for await (const id of readable) {
+        ids.push(id);
+      }
+      ids.length.should.equal(25);
+      new Set(ids).size.should.equal(25);
+    });
+  });
+
+  describe('id transcode streams', () => {
+    const decoder = {encoding: 'base16', multibase: false};
+    const encoder = {encoding: 'base58'};
+
+    // TransformStream requires Node.js >= 16.5
+    function skipWithoutTransformStream(test) {
+      try {
+        createIdTranscodeStream({decoder, encoder});
+      } catch(e) {
+        test.skip();
+      }
+    }
+
+    async function transcode(stream, chunks) {
+      const writer = stream.writable.getWriter();
+      const reader = stream.readable.getReader();
+      const writing = (async () => {
+        for(const chunk of chunks) {
+          await writer.write(chunk);
+        }
+        await writer.close();
+      })();
+      let output = '';
+      for(;;) {
+        const {value, done} = await reader.read();
+        if(done) {
+          break;
         }
+        output += value;
+      }
+      await writing;
+      return output;
+    }
+
+    it('should transcode newline-delimited ids', async function() {
+      skipWithoutTransformStream(this);
+      const stream = createIdTranscodeStream({decoder, encoder});
+      const output = await transcode(stream, ['0102\n0a', '0b\r\nff\n']);
+      output.should.equal('z5T\nzmL\nz5Q\n');
+    });
+    it('should transcode UTF-8 byte chunks', async function() {
+      skipWithoutTransformStream(this);
+      const stream = createIdTranscodeStream({decoder, encoder});
+      const bytes = new TextEncoder().encode('0102\n0a0b');
+      const output = await transcode(
+        stream, [bytes.subarray(0, 3), bytes.subarray(3)]);
+      output.should.equal('z5T\nzmL\n');
+    });
+    it('should report bad lines with line numbers', async function() {
+      skipWithoutTransformStream(this);
+      const errors = [];
+      const stream = createIdTranscodeStream({
+        decoder,
+        encoder,
+        onError: ({lineNumber}) => errors.push(lineNumber)
       });
+      const output = await transcode(stream, ['0102\nxyzw\n\n0a0b']);
+      output.should.equal(
+        'z5T\nerror: line 2: Invalid encoded data "xyzw".\n\nzmL\n');
+      errors.should.eql([2]);
+    });
+    it('should pass bad lines to error side channel', async function() {
+      skipWithoutTransformStream(this);
+      const errors = [];
+      const stream = createIdTranscodeStream({
+        decoder,
+        encoder,
+        errorMode: 'channel',
+        onError: ({lineNumber, line, error}) =>
+          errors.push([lineNumber, line, error.message])
+      });
+      const output = await transcode(stream, ['0102\nxyzw\n0a0b\n123\n']);
+      output.should.equal('z5T\nzmL\n');
+      errors.should.eql([
+        [2, 'xyzw', 'Invalid encoded data "xyzw".'],
+        [4, '123', 'Invalid base16 data length.']
+      ]);
+    });
+    it('should not create stream with invalid options', async () => {
+      expect(() => createIdTranscodeStream({errorMode: 'foo'}))
+        .to.throw('Unknown error mode "foo".');
+      expect(() => createIdTranscodeStream({errorMode: 'channel'}))
+        .to.throw('"onError" must be a function in "channel" mode.');
+    });
+    it('should transcode with Node.js Transform', async function() {
+      // Node.js streams are not supported in browsers
+      if(typeof window !== 'undefined') {
+        this.skip();
+      }
+      const errors = [];
+      const transform = createIdTranscodeTransform({
+        decoder,
+        encoder,
+        errorMode: 'channel',
+        onError: ({lineNumber}) => errors.push(lineNumber)
+      });
+      transform.write('0102\nx');
+      transform.end('yzw\n0a0b');
+      let output = '';
+      for await (const chunk of transform) {
+        output += chunk;
+      }
+      output.should.equal('z5T\nzmL\n');
+      errors.should.eql([2]);
     });
   });
 
-  describe('generateId', () => {
+  describe('generateIdSync', () => {
     it('should generate default id', async () => {
-      const id = await generateId();
-      should.exist(id);
+      const id = generateIdSync();
       id.should.be.a('string');
-      // not fixed length, so could be 'z' + 21 or 22 chars
       id.length.should.be.gte(minEncodedIdBytes(), id);
       id.length.should.be.lte(maxEncodedIdBytes(), id);
       id[0].should.equal('z');
     });
-    it('should generate default non-multibase id', async () => {
-      const id = await generateId({
-        multibase: false
-      });
-      should.exist(id);
-      id.should.be.a('string');
-      // not fixed length, so could be 21 or 22 chars
-      id.length.should.be.gte(21);
-      id.length.should.be.lte(22);
-    });
-    it('should generate default multibase fixed length id', async () => {
-      const id = await generateId({
-        fixedLength: true,
-        multibase: true
-      });
-      should.exist(id);
-      id.should.be.a('string');
-      id.length.should.equal(maxEncodedIdBytes());
-      id[0].should.equal('z');
-    });
-    it('should generate 256 bit fixed length id', async () => {
-      const id = await generateId({
-        bitLength: 256,
-        fixedLength: true,
-        multibase: false
-      });
-      should.exist(id);
-      id.should.be.a('string');
-      id.length.should.equal(44);
+    it('should generate same format as generateId', async () => {
+      const seed = new Uint8Array(32);
+      const options = {encoding: 'base32', bitLength: 100, fixedLength: true};
+      const id = generateIdSync(
+        {...options, randomSource: createSeededRandomSource({seed})});
+      id.should.equal(await generateId(
+        {...options, randomSource: createSeededRandomSource({seed})}));
+      id.length.should.equal(22);
     });
   });
 
@@ -806,6 +2993,639 @@ describe('bnid', () => {
       }
     });
   });
+  describe('validateId', () => {
+    const bytes = new Uint8Array([0x01, 0x02, 0x03, 0x04]);
+    const codes = result => result.errors.map(({code}) => code);
+    it('should validate valid ids', async () => {
+      const result = validateId('z2VfUX');
+      result.valid.should.equal(true);
+      result.errors.should.eql([]);
+      result.bytes.should.equalBytes(bytes);
+    });
+    it('should validate with IdDecoder', async () => {
+      const decoder = new IdDecoder({fixedBitLength: 32});
+      const result = decoder.validate('z2VfUX');
+      result.valid.should.equal(true);
+      result.bytes.should.equalBytes(decoder.decode('z2VfUX'));
+    });
+    it('should report invalid ids', async () => {
+      const data = [
+        [123, undefined, 'INVALID_ID', '"id" must be a string.'],
+        ['', undefined, 'MULTIBASE_NOT_FOUND', 'Multibase encoding not found.'],
+        ['x2VfUX', undefined, 'UNKNOWN_MULTIBASE_PREFIX',
+          'Unknown multibase prefix "x".'],
+        ['z2VfU0', undefined, 'INVALID_ENCODED_DATA',
+          'Invalid encoded data "2VfU0".'],
+        ['fabc', undefined, 'INVALID_ENCODED_DATA',
+          'Invalid base16 data length.'],
+        ['z2VfUX2VfUX', {maxBitLength: 32}, 'ENCODED_DATA_TOO_LONG',
+          'Encoded data length greater than maximum of 6 characters.'],
+        ['z2VfUX', {fixedBitLength: 24}, 'DECODED_DATA_TOO_LONG',
+          'Data length greater than 24 bits.'],
+      ];
+      for(const [id, options, code, message] of data) {
+        const result = validateId(id, options);
+        result.valid.should.equal(false);
+        result.errors.should.eql([{code, message}]);
+        should.not.exist(result.bytes);
+        // same rules as decoding
+        expect(() => {
+          new IdDecoder(options).decode(id);
+        }).throws(message);
+      }
+    });
+    it('should report all multihash problems', async () => {
+      const id = new IdEncoder({multihash: true, hashFunction: 'sha2-256'})
+        .encode(new Uint8Array(16));
+      const result = validateId(id, {multihash: true});
+      result.valid.should.equal(false);
+      codes(result).should.eql(['INVALID_HASH_FUNCTION', 'INVALID_SIZE']);
+    });
+    it('should report type and checksum problems', async () => {
+      const id = new IdEncoder({type: 'order', checksum: 'crc32c'})
+        .encode(bytes);
+      // change the last checksum character
+      const mistyped = id.slice(0, -1) + (id.endsWith('1') ? '2' : '1');
+      const result = validateId(
+        mistyped, {types: ['user'], checksum: 'crc32c'});
+      result.valid.should.equal(false);
+      codes(result).should.eql(['INVALID_TYPE', 'INVALID_CHECKSUM']);
+      result.errors[0].message.should.equal('Invalid id type "order".');
+    });
+    it('should report bech32 problems', async () => {
+      const result = validateId('inv1qqqsyzcvfrtp6', {
+        encoding: 'bech32',
+        multibase: false,
+        hrp: 'usr'
+      });
+      result.valid.should.equal(false);
+      result.errors.should.eql([{
+        code: 'INVALID_HRP',
+        message: 'Invalid human-readable part "inv".'
+      }, {
+        code: 'INVALID_CHECKSUM',
+        message: 'Invalid checksum. Possible typo at position 9.'
+      }]);
+    });
+  });
+
+  describe('IdTranscoder', () => {
+    it('should transcode base16 to base58', async () => {
+      const transcoder = new IdTranscoder();
+      transcoder.transcode('f0102').should.equal('z5T');
+      transcodeId({id: 'f0102', encoder: {encoding: 'base58'}})
+        .should.equal('z5T');
+    });
+    it('should keep fixed bit length', async () => {
+      const data = [
+        // [source, decoder fixedBitLength, target encoding, target]
+        ['f0000000001', 40, 'base58', 'z1111112'],
+        ['z1111112', 40, 'base16', 'f0000000001'],
+        ['z111', 16, 'base16', 'f0000'],
+        ['f0fff', 12, 'base32', 'bb77q']
+      ];
+      for(const [id, fixedBitLength, encoding, expected] of data) {
+        transcodeId({id, decoder: {fixedBitLength}, encoder: {encoding}})
+          .should.equal(expected);
+        // and back again
+        transcodeId({
+          id: expected,
+          decoder: {fixedBitLength},
+          encoder: {encoding: getEncodingByMultibasePrefix(id[0]).name}
+        }).should.equal(id);
+      }
+    });
+    it('should keep fixed bit length with fixed length encoder', async () => {
+      const decoder = {fixedBitLength: 50};
+      for(const encoder of [{fixedLength: true}, {fixedBitLength: 0}]) {
+        transcodeId({id: 'f00000000000001', decoder, encoder})
+          .should.equal('z111111112');
+      }
+      transcodeId({
+        id: 'f00000000000001',
+        decoder,
+        encoder: new IdEncoder({fixedBitLength: 50})
+      }).should.equal('z111111112');
+    });
+    it('should require fixed bit length for encoder instances', async () => {
+      for(const encoder of [
+        new IdEncoder(), new IdEncoder({fixedLength: true})
+      ]) {
+        expect(() => new IdTranscoder({
+          decoder: {fixedBitLength: 50},
+          encoder
+        })).to.throw(
+          'Target encoder must have a fixed bit length to keep source fixed ' +
+          'bit length 50.');
+      }
+    });
+    it('should add and strip multihash', async () => {
+      transcodeId({id: 'f0102', encoder: {encoding: 'base16', multihash: true}})
+        .should.equal('f00020102');
+      transcodeId({
+        id: 'f00020102',
+        decoder: {multihash: true, expectedSize: 0},
+        encoder: {encoding: 'base58'}
+      }).should.equal('z5T');
+    });
+    it('should keep content id hash function', async () => {
+      const id = await generateContentId(
+        {data: new Uint8Array(1), encoding: 'base16'});
+      const decoder = {multihash: true, hashFunctions: ['sha2-256']};
+      transcodeId({
+        id,
+        decoder,
+        encoder: {multihash: true, hashFunction: 'sha2-256'}
+      }).should.equal('zQmVkqaunyKCw4NKmWXbsGhkr5CotM8vCBKWyxsh8FGZyfr');
+      expect(() => transcodeId({id, decoder}))
+        .to.throw('Transcoding would lose multihash function "sha2-256".');
+    });
+    it('should keep CID codec', async () => {
+      const id = await generateContentId(
+        {data: new Uint8Array(1), cid: true, cidCodec: 'dag-cbor'});
+      const base32 = transcodeId({
+        id,
+        decoder: {cid: true},
+        encoder: {
+          encoding: 'base32',
+          cid: true,
+          cidCodec: 'dag-cbor',
+          hashFunction: 'sha2-256'
+        }
+      });
+      base32[0].should.equal('b');
+      new IdDecoder({cid: true}).decodeCid(base32).codec
+        .should.equal('dag-cbor');
+      expect(() => transcodeId({
+        id,
+        decoder: {cid: true},
+        encoder: {multihash: true, hashFunction: 'sha2-256'}
+      })).to.throw('Transcoding would lose CID codec "dag-cbor".');
+    });
+    it('should reject lossy fixed bit length', async () => {
+      expect(() => new IdTranscoder({
+        decoder: {fixedBitLength: 128},
+        encoder: {fixedBitLength: 64}
+      })).to.throw(
+        'Target fixed bit length 64 is less than source fixed bit length 128.');
+      expect(() => transcodeId({
+        id: 'f010203',
+        encoder: {encoding: 'base58', maxBitLength: 16}
+      })).to.throw('Input length greater than maximum of 16 bits.');
+    });
+    it('should not transcode fixed bit length multihash ids', async () => {
+      expect(() => new IdTranscoder({
+        decoder: {multihash: true, fixedBitLength: 128}
+      })).to.throw(
+        'Transcoding multihash ids with a fixed bit length is not supported.');
+    });
+  });
+
+  describe('content id', () => {
+    const data = new TextEncoder().encode('hello');
+    const sha256 =
+      '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824';
+    const blake2b512 =
+      'e4cfa39a3d37be31c59609e807970799caa68a19bfaa15135f165085e01d41a6' +
+      '5ba1e1b146aeb6bd0092b49eac214c103ccfa3a365954bbbe52f74a2b3620c94';
+    it('should generate sha2-256 content id', async () => {
+      const id = await generateContentId({data, encoding: 'base16'});
+      id.should.equal('f1220' + sha256);
+    });
+    it('should generate blake2b-512 content id', async function() {
+      // only sha2 hash functions are supported in browsers
+      if(typeof window !== 'undefined') {
+        this.skip();
+      }
+      const id = await generateContentId(
+        {data, encoding: 'base16', hashFunction: 'blake2b-512'});
+      // varint function code 0xb240 and size 64
+      id.should.equal('fc0e40240' + blake2b512);
+    });
+    it('should generate truncated content id', async () => {
+      const id = await generateContentId(
+        {data, encoding: 'base16', digestSize: 16});
+      id.should.equal('f1210' + sha256.slice(0, 32));
+    });
+    it('should generate content ids for all hash functions', async () => {
+      const hashFunctions = [
+        'sha2-256', 'sha2-384', 'sha2-512', 'sha3-256', 'sha3-384',
+        'sha3-512', 'blake2b-512'
+      ].filter(name => typeof window === 'undefined' ||
+        name.startsWith('sha2-'));
+      for(const hashFunction of hashFunctions) {
+        const id = await generateContentId({data, hashFunction});
+        (await verifyContentId({id, data})).should.equal(true);
+      }
+    });
+    it('should not generate content id with invalid digest size',
+      async () => {
+        let err;
+        try {
+          await generateContentId({data, digestSize: 33});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.should.be.instanceof(RangeError);
+      });
+    it('should not generate content id with unknown hash function',
+      async () => {
+        let err;
+        try {
+          await generateContentId({data, hashFunction: 'md5'});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal('Unknown hash function "md5".');
+      });
+    it('should not generate content id with unsupported hash function',
+      async function() {
+        if(typeof window === 'undefined') {
+          this.skip();
+        }
+        let err;
+        try {
+          await generateContentId({data, hashFunction: 'sha3-256'});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal('Hash function "sha3-256" is not supported.');
+      });
+    it('should verify content id', async function() {
+      if(typeof window !== 'undefined') {
+        this.skip();
+      }
+      const id = await generateContentId({data, hashFunction: 'sha3-256'});
+      (await verifyContentId({id, data})).should.equal(true);
+      (await verifyContentId({id, data: new Uint8Array([1, 2, 3])}))
+        .should.equal(false);
+    });
+    it('should verify truncated content id', async () => {
+      const id = await generateContentId({data, digestSize: 8});
+      (await verifyContentId({id, data})).should.equal(true);
+      (await verifyContentId({id, data: new Uint8Array([1, 2, 3])}))
+        .should.equal(false);
+    });
+    it('should not verify content id with unaccepted hash function',
+      async () => {
+        const id = await generateContentId({data, hashFunction: 'sha2-512'});
+        let err;
+        try {
+          await verifyContentId({id, data, hashFunctions: ['sha2-256']});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal('Invalid multihash function code.');
+      });
+    it('should decode content id digest with IdDecoder', async () => {
+      const id = await generateContentId({data});
+      const decoder = new IdDecoder(
+        {multihash: true, hashFunctions: ['sha2-256']});
+      const digest = decoder.decode(id);
+      digest.should.equalBytes(sha256);
+      (await decoder.verify({id, data})).should.equal(true);
+    });
+    it('should not decode content id without accepted hash function',
+      async () => {
+        const id = await generateContentId({data});
+        let err;
+        try {
+          decodeId({id, multihash: true});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal('Invalid multihash function code.');
+      });
+    it('should not decode content id with too large digest', async () => {
+      // sha2-256 code with a 33 byte digest
+      const id = 'f1221' + sha256 + '00';
+      let err;
+      try {
+        decodeId(
+          {id, multihash: true, hashFunctions: ['sha2-256'], expectedSize: 0});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.should.be.instanceof(RangeError);
+    });
+  });
+  describe('CID', () => {
+    const data = new TextEncoder().encode('hello');
+    const sha256 =
+      '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824';
+    it('should generate raw sha2-256 CIDv1', async () => {
+      const id = await generateContentId(
+        {data, cid: true, encoding: 'base32'});
+      id.should.equal(
+        'bafkreibm6jg3ux5qumhcn2b3flc3tyu6dmlb4xa7u5bf44yegnrjhc4yeq');
+    });
+    it('should encode identity CIDv1', async () => {
+      const encoder = new IdEncoder(
+        {cid: true, cidCodec: 'dag-json', encoding: 'base16'});
+      // version 1, dag-json 0x0129, identity multihash
+      encoder.encode(new Uint8Array([1, 2, 3]))
+        .should.equal('f01a9020003010203');
+    });
+    it('should decode CIDv1 parts', async () => {
+      const decoder = new IdDecoder({cid: true});
+      const {codec, hashFunction, digest} = decoder.decodeCid(
+        'bafkreibm6jg3ux5qumhcn2b3flc3tyu6dmlb4xa7u5bf44yegnrjhc4yeq');
+      codec.should.equal('raw');
+      hashFunction.should.equal('sha2-256');
+      digest.should.equalBytes(sha256);
+    });
+    it('should decode CIDv1 in any multibase', async () => {
+      const decoder = new IdDecoder({cid: true});
+      const encodings = ['base58', 'base16', 'base36', 'base64url'];
+      for(const encoding of encodings) {
+        const id = await generateContentId(
+          {data, cid: true, cidCodec: 'dag-cbor', encoding});
+        const result = decoder.decodeCid(id);
+        result.codec.should.equal('dag-cbor');
+        result.hashFunction.should.equal('sha2-256');
+        result.digest.should.equalBytes(sha256);
+        decoder.decode(id).should.equalBytes(sha256);
+        (await decoder.verify({id, data})).should.equal(true);
+      }
+    });
+    it('should not decode unsupported CID version', async () => {
+      const decoder = new IdDecoder({cid: true});
+      let err;
+      try {
+        decoder.decodeCid('f02550003010203');
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Unsupported CID version "2".');
+    });
+    it('should not decode CID with unaccepted codec', async () => {
+      const decoder = new IdDecoder({cid: true, cidCodecs: ['dag-cbor']});
+      let err;
+      try {
+        decoder.decodeCid('f01550003010203');
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Invalid CID codec.');
+    });
+    it('should not use CID without multibase', async () => {
+      expect(() => new IdEncoder({cid: true, multibase: false}))
+        .to.throw('CIDs require multibase encoding.');
+      expect(() => new IdDecoder({cid: true, multibase: false}))
+        .to.throw('CIDs require multibase encoding.');
+    });
+    it('should not use CID with fixed length', async () => {
+      for(const options of [
+        {fixedLength: true}, {fixedBitLength: 0}, {fixedBitLength: 128}
+      ]) {
+        expect(() => new IdEncoder({cid: true, ...options}))
+          .to.throw('CIDs do not support a fixed bit length.');
+      }
+      expect(() => new IdDecoder({cid: true, fixedBitLength: 128}))
+        .to.throw('CIDs do not support a fixed bit length.');
+    });
+    it('should not use unknown CID codec', async () => {
+      expect(() => new IdEncoder({cid: true, cidCodec: 'foo'}))
+        .to.throw('Unknown CID codec "foo".');
+    });
+    it('should not decode CID parts without cid option', async () => {
+      const decoder = new IdDecoder();
+      expect(() => decoder.decodeCid('f01550003010203'))
+        .to.throw('Decoding CIDs requires the "cid" option.');
+    });
+  });
+  describe('typed ids', () => {
+    const bytes = new Uint8Array([0x01, 0x02, 0x03, 0x04]);
+    it('should encode typed ids', async () => {
+      new IdEncoder({type: 'user'}).encode(bytes)
+        .should.equal('user_z2VfUX');
+      new IdEncoder({type: 'order', typeSeparator: ':', encoding: 'base16'})
+        .encode(bytes).should.equal('order:f01020304');
+    });
+    it('should reject invalid types', async () => {
+      const data = [
+        [{type: ''}, 'Id types must be non-empty strings.'],
+        [{type: 'user_id'},
+          'Id type "user_id" must not contain the type separator "_".'],
+        [{type: 'user', typeSeparator: ''},
+          '"typeSeparator" must be a non-empty string.'],
+      ];
+      for(const [options, message] of data) {
+        expect(() => {
+          new IdEncoder(options);
+        }).throws(message);
+      }
+      expect(() => {
+        new IdDecoder({types: []});
+      }).throws('"types" must be a non-empty array.');
+      expect(() => {
+        new IdDecoder({types: ['user', 'user_id']});
+      }).throws('Id type "user_id" must not contain the type separator "_".');
+    });
+    it('should decode typed ids', async () => {
+      const decoder = new IdDecoder({types: ['user', 'order']});
+      decoder.decode('user_z2VfUX').should.equalBytes(bytes);
+      const {type, bytes: decoded} = decoder.decodeTyped('order_z2VfUX');
+      type.should.equal('order');
+      decoded.should.equalBytes(bytes);
+    });
+    it('should decode typed ids with custom separator', async () => {
+      const decoder = new IdDecoder({types: ['order'], typeSeparator: ':'});
+      decoder.decodeTyped('order:f01020304').type.should.equal('order');
+    });
+    it('should not read type as multibase prefix', async () => {
+      // "u" is the base64url multibase prefix and "_" is a base64url character
+      const encoder = new IdEncoder({type: 'user', encoding: 'base64url'});
+      const id = encoder.encode(new Uint8Array([0xff, 0xff, 0xff]));
+      id.should.equal('user_u____');
+      const decoder = new IdDecoder({types: ['user']});
+      decoder.decodeTyped(id).bytes.should.equalBytes('ffffff');
+    });
+    it('should reject disallowed types', async () => {
+      const decoder = new IdDecoder({types: ['user']});
+      expect(() => {
+        decoder.decode('order_z2VfUX');
+      }).throws('Invalid id type "order".');
+      expect(() => {
+        decoder.decode('z2VfUX');
+      }).throws('Id type not found.');
+    });
+    it('should require types to decode typed ids', async () => {
+      expect(() => {
+        new IdDecoder().decodeTyped('user_z2VfUX');
+      }).throws('Decoding typed ids requires the "types" option.');
+    });
+    it('should report typo positions in typed ids', async () => {
+      const options = {encoding: 'bech32', multibase: false};
+      const id = new IdEncoder({...options, hrp: 'inv', type: 'invoice'})
+        .encode(new Uint8Array([0x00, 0x01, 0x02, 0x03]));
+      id.should.equal('invoice_inv1qqqsyqcvfrtp6');
+      const decoder = new IdDecoder({...options, types: ['invoice']});
+      let error;
+      try {
+        decoder.decode('invoice_inv1qqqsyzcvfrtp6');
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(ChecksumError);
+      error.positions.should.eql([17]);
+      error.message.should.equal(
+        'Invalid checksum. Possible typo at position 17.');
+    });
+    it('should not transcode away the type', async () => {
+      const decoder = {types: ['user']};
+      transcodeId({id: 'user_z2VfUX', decoder, encoder: {
+        type: 'user', encoding: 'base16'
+      }}).should.equal('user_f01020304');
+      expect(() => {
+        transcodeId(
+          {id: 'user_z2VfUX', decoder, encoder: {encoding: 'base16'}});
+      }).throws('Transcoding would lose id type "user".');
+    });
+    it('should not transcode away the version', async () => {
+      const id = new IdEncoder(
+        {encoding: 'base58check', multibase: false, version: 5}).encode(bytes);
+      const decoder = {encoding: 'base58check', multibase: false};
+      transcodeId({id, decoder, encoder: {
+        encoding: 'base58check', multibase: false, version: 5
+      }}).should.equal(id);
+      expect(() => {
+        transcodeId({id, decoder, encoder: {encoding: 'base16'}});
+      }).throws('Transcoding would lose version "5".');
+      expect(() => {
+        transcodeId({id, decoder, encoder: {
+          encoding: 'base58check', multibase: false, version: 0
+        }});
+      }).throws('Transcoding would lose version "5".');
+    });
+    it('should not transcode away the human-readable part', async () => {
+      const decoder = {encoding: 'bech32', multibase: false};
+      transcodeId({id: 'inv1qqqsyqcvfrtp6', decoder, encoder: {
+        encoding: 'bech32m', multibase: false, hrp: 'inv'
+      }}).should.equal('inv1qqqsyqce4n8yc');
+      expect(() => {
+        transcodeId(
+          {id: 'inv1qqqsyqcvfrtp6', decoder, encoder: {encoding: 'base16'}});
+      }).throws('Transcoding would lose human-readable part "inv".');
+      expect(() => {
+        transcodeId({id: 'inv1qqqsyqcvfrtp6', decoder, encoder: {
+          encoding: 'bech32', multibase: false, hrp: 'usr'
+        }});
+      }).throws('Transcoding would lose human-readable part "inv".');
+    });
+  });
+
+  describe('UUID', () => {
+    const uuid = '6ba7b810-9dad-41d1-80b4-00c04fd430c8';
+    const bytes = [
+      0x6b, 0xa7, 0xb8, 0x10, 0x9d, 0xad, 0x41, 0xd1,
+      0x80, 0xb4, 0x00, 0xc0, 0x4f, 0xd4, 0x30, 0xc8
+    ];
+    it('should generate v4 UUID', async () => {
+      const value = await generateUuid();
+      value.should.match(
+        /^[\da-f]{8}-[\da-f]{4}-4[\da-f]{3}-[89ab][\da-f]{3}-[\da-f]{12}$/);
+      decodeUuid({uuid: value}).length.should.equal(16);
+    });
+    it('should generate v4 UUID in other formats', async () => {
+      (await generateUuid({format: 'braced'})).should.match(/^\{.{36}\}$/);
+      (await generateUuid({format: 'urn'})).should.match(/^urn:uuid:.{36}$/);
+    });
+    it('should decode UUID forms', async () => {
+      const forms = [
+        uuid,
+        uuid.toUpperCase(),
+        `{${uuid}}`,
+        `urn:uuid:${uuid}`,
+        `URN:UUID:${uuid.toUpperCase()}`
+      ];
+      for(const form of forms) {
+        decodeUuid({uuid: form}).should.equalBytes(bytes);
+      }
+    });
+    it('should not decode invalid UUIDs', async () => {
+      const invalid = [
+        '',
+        uuid.slice(1),
+        uuid.replace(/-/g, ''),
+        `{${uuid}`,
+        `urn:${uuid}`,
+        uuid.replace('6', 'g')
+      ];
+      for(const value of invalid) {
+        expect(() => decodeUuid({uuid: value}))
+          .to.throw(`Invalid UUID "${value}".`);
+      }
+    });
+    it('should report invalid UUID version', async () => {
+      const v1 = '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+      expect(() => decodeUuid({uuid: v1}))
+        .to.throw('Invalid UUID version "1". Version must be "4".');
+      decodeUuid({uuid: v1, version: 1}).length.should.equal(16);
+      decodeUuid({uuid: v1, version: 0}).length.should.equal(16);
+      expect(() => decodeUuid(
+        {uuid: '6ba7b810-9dad-01d1-80b4-00c04fd430c8', version: 0}))
+        .to.throw('Invalid UUID version "0".');
+    });
+    it('should report invalid UUID variant', async () => {
+      expect(() => decodeUuid({uuid: '6ba7b810-9dad-41d1-c0b4-00c04fd430c8'}))
+        .to.throw('Invalid UUID variant.');
+      expect(() => encodeUuid({bytes: new Uint8Array(16)}))
+        .to.throw('Invalid UUID variant.');
+    });
+    it('should allow Nil and Max UUIDs with any version', async () => {
+      const nil = '00000000-0000-0000-0000-000000000000';
+      const max = 'ffffffff-ffff-ffff-ffff-ffffffffffff';
+      decodeUuid({uuid: nil, version: 0}).should.equalBytes(new Uint8Array(16));
+      decodeUuid({uuid: max, version: 0})
+        .should.equalBytes(new Uint8Array(16).fill(0xff));
+      encodeUuid({bytes: new Uint8Array(16), version: 0}).should.equal(nil);
+      encodeUuid({bytes: new Uint8Array(16).fill(0xff), version: 0})
+        .should.equal(max);
+      idToUuid({id: uuidToId({uuid: max, version: 0}), version: 0})
+        .should.equal(max);
+      for(const value of [nil, max]) {
+        expect(() => decodeUuid({uuid: value}))
+          .to.throw('Invalid UUID variant.');
+      }
+    });
+    it('should encode UUID bytes', async () => {
+      const b = new Uint8Array(bytes);
+      encodeUuid({bytes: b}).should.equal(uuid);
+      encodeUuid({bytes: b, format: 'braced'}).should.equal(`{${uuid}}`);
+      encodeUuid({bytes: b, format: 'urn'}).should.equal(`urn:uuid:${uuid}`);
+      expect(() => encodeUuid({bytes: b.subarray(1)}))
+        .to.throw('UUID must be 16 bytes.');
+    });
+    it('should convert UUID to id and back', async () => {
+      const configs = [
+        {},
+        {encoding: 'base16', multibase: false},
+        {encoding: 'base32', fixedLength: true},
+        {encoding: 'crockford32', multibase: false, checkSymbol: true}
+      ];
+      for(const options of configs) {
+        const id = uuidToId({uuid: `{${uuid}}`, ...options});
+        idToUuid({id, ...options}).should.equal(uuid);
+      }
+      uuidToId({uuid, encoding: 'base16'})
+        .should.equal('f6ba7b8109dad41d180b400c04fd430c8');
+    });
+    it('should convert generated UUIDs to ids and back', async () => {
+      for(let i = 0; i < 10; ++i) {
+        const value = await generateUuid();
+        idToUuid({id: uuidToId({uuid: value})}).should.equal(value);
+      }
+    });
+  });
   describe('secret key seed', () => {
     it('should generate a secret key seed', async () => {
       let secretKeySeed;
@@ -911,22 +3731,45 @@ describe('bnid', () => {
         should.exist(err);
         err.message.should.equal('Invalid multihash function code.');
       });
-    it('should throw error if identifier size is greater than 127',
+    it('should generate a secret key seed synchronously', async () => {
+      const secretKeySeed = generateSecretKeySeedSync();
+      secretKeySeed.should.be.a('string');
+      secretKeySeed.length.should.equal(47);
+      decodeSecretKeySeed({secretKeySeed}).byteLength.should.equal(32);
+      expect(() => generateSecretKeySeedSync(
+        {randomSource: createSeededRandomSource({seed: new Uint8Array(32)})}))
+        .to.throw(
+          'Secret key seeds must be generated with a secure random source.');
+    });
+    it('should not generate a secret key seed with a random source',
       async () => {
+        const randomSource = createSeededRandomSource(
+          {seed: new Uint8Array(32)});
         let secretKeySeed;
         let err;
-        const bitLength = 128 * 8;
         try {
-          secretKeySeed = await generateSecretKeySeed({bitLength});
+          secretKeySeed = await generateSecretKeySeed({randomSource});
         } catch(e) {
           err = e;
         }
         should.not.exist(secretKeySeed);
         should.exist(err);
-        err.message.should.equal('Identifier size too large.');
+        err.message.should.equal(
+          'Secret key seeds must be generated with a secure random source.');
       });
-    it('should throw error if decoded identifier size is greater than 127',
+    it('should round trip a secret key seed with size greater than 127',
       async () => {
+        const bitLength = 128 * 8;
+        const secretKeySeed = await generateSecretKeySeed({bitLength});
+        secretKeySeed.should.be.a('string');
+        const decoded = decodeSecretKeySeed(
+          {secretKeySeed, expectedSize: 128});
+        decoded.should.be.a('Uint8Array');
+        decoded.byteLength.should.equal(128);
+      });
+    it('should throw error if decoded identifier size does not match varint',
+      async () => {
+        // varint size header 0x80 0x3c (7680) with only 127 bytes of data
         const secretKeySeed =
           'z1219W7SyWvDy6ueLyvNirtibEkZdHpfP5BNTQG5Pv8tFKaqqnAkS7d7Pi5XeNEL' +
           '6MyCyjqURq33GYgFJPb8pjM6QmmZGY2hK53wos9XBCtcPswJPd583teDaZX9b2gn' +
@@ -940,7 +3783,46 @@ describe('bnid', () => {
         }
         should.not.exist(decoded);
         should.exist(err);
-        err.message.should.equal('Decoded identifier size too large.');
+        err.message.should.equal('Unexpected identifier size.');
+      });
+    it('should throw error if multihash varint is not minimally encoded',
+      async () => {
+        // identity code 0x00, size 0x81 0x00 (non-minimal 1), 1 byte of data
+        const encoder = new IdEncoder({encoding: 'base16'});
+        const id = encoder.encode(new Uint8Array([0x00, 0x81, 0x00, 0x01]));
+        let err;
+        try {
+          decodeId({id, encoding: 'base16', multihash: true, expectedSize: 0});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal('Varint is not minimally encoded.');
+      });
+    it('should throw error if multihash varint is truncated',
+      async () => {
+        const encoder = new IdEncoder({encoding: 'base16'});
+        const id = encoder.encode(new Uint8Array([0x00, 0x80]));
+        let err;
+        try {
+          decodeId({id, encoding: 'base16', multihash: true, expectedSize: 0});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal('Truncated varint.');
+      });
+    it('should encode a multihash size greater than 127 as a varint',
+      async () => {
+        const encoder = new IdEncoder(
+          {encoding: 'base16', multihash: true, multibase: false});
+        const id = encoder.encode(new Uint8Array(300).fill(0xff));
+        // identity code 0x00, size 300 = 0xac 0x02
+        id.slice(0, 6).should.equal('00ac02');
+        const decoded = decodeId(
+          {id, encoding: 'base16', multibase: false, multihash: true,
+            expectedSize: 300});
+        decoded.should.eql(new Uint8Array(300).fill(0xff));
       });
   });
 });